@@ -46,6 +46,12 @@ struct HttpResp {
   String body;
 };
 
+struct SendItem {
+  double kwh;
+  char date[11];
+  char key[48];
+};
+
 struct Button {
   uint8_t pin;
   bool lastStable;
@@ -78,6 +84,10 @@ static bool gSending = false;
 static bool lastAlertState = false;
 
 static QueueHandle_t qSend = nullptr;
+static const UBaseType_t SEND_BUFFER_SIZE = 32;
+static const uint32_t SEND_RETRY_DELAY_MS = 5000;
+static uint32_t gBootId = 0;
+static uint32_t gSendSeq = 0;
 static portMUX_TYPE gMux = portMUX_INITIALIZER_UNLOCKED;
 enum NetCmdType : uint8_t {
   CMD_LOGIN = 1,
@@ -117,7 +127,7 @@ static void relaySet(bool on);
 
 static HttpResp httpJson(const char* method, const String& path, const String& jsonBody, bool auth);
 static bool apiLogin();
-static bool apiPostConsumption(double kwh);
+static bool apiPostConsumption(const SendItem& item);
 static void apiPollAllLimitsProgress();
 
 static void enqueueConsumption(double kwh);
@@ -283,11 +293,18 @@ static void relaySet(bool on) {
   digitalWrite(PIN_RELAY_IN, on ? HIGH : LOW);
 }
 
+// the key stays with the measurement, so a resend after a dropped response is not counted twice
 static void enqueueConsumption(double kwh) {
   if (!qSend) return;
   double k = round(kwh * 1000.0) / 1000.0;
   if (k < 0.001) return;
-  xQueueSend(qSend, &k, 0);
+
+  SendItem item;
+  item.kwh = k;
+  snprintf(item.date, sizeof(item.date), "%s", todayISO().c_str());
+  snprintf(item.key, sizeof(item.key), "esp32-%012llx-%08lx-%lu",
+           (unsigned long long)ESP.getEfuseMac(), (unsigned long)gBootId, (unsigned long)++gSendSeq);
+  xQueueSend(qSend, &item, 0);
 }
 
 static HttpResp httpJson(const char* method, const String& path, const String& jsonBody, bool auth) {
@@ -356,32 +373,41 @@ static bool apiLogin() {
   return true;
 }
 
-static bool apiPostConsumption(double kwh) {
+// returns false only when the item should be sent again later
+static bool apiPostConsumption(const SendItem& item) {
   StaticJsonDocument<512> doc;
-  doc["appliance_id"] = APPLIANCE_ID;
-  doc["consumption_kwh"] = kwh;
-  doc["record_date"] = todayISO();
-  doc["notes"] = "ESP32 session";
+  JsonObject rec = doc.createNestedArray("records").createNestedObject();
+  rec["idempotency_key"] = item.key;
+  rec["appliance_id"] = APPLIANCE_ID;
+  rec["consumption_kwh"] = item.kwh;
+  rec["record_date"] = item.date;
+  rec["notes"] = "ESP32 session";
 
   String body;
   serializeJson(doc, body);
 
-  HttpResp r = httpJson("POST", "/api/consumption", body, true);
-  if (r.status == 201) return true;
+  HttpResp r = httpJson("POST", "/api/consumption/batch", body, true);
+  if (r.status == 401) {
+    gToken = "";
+    if (!apiLogin()) return false;
+    r = httpJson("POST", "/api/consumption/batch", body, true);
+  }
+
+  if (r.status == 200) {
+    StaticJsonDocument<1024> resp;
+    if (!deserializeJson(resp, r.body) && (resp["failed"] | 0) > 0) {
+      Serial.print("Consumption rejected: ");
+      Serial.println((const char*)(resp["items"][0]["message"] | ""));
+    }
+    return true;
+  }
 
   Serial.print("Post consumption failed: ");
   Serial.print(r.status);
   Serial.print(" body=");
   Serial.println(r.body);
 
-  if (r.status == 401) {
-    gToken = "";
-    if (apiLogin()) {
-      HttpResp r2 = httpJson("POST", "/api/consumption", body, true);
-      return r2.status == 201;
-    }
-  }
-  return false;
+  return r.status >= 400 && r.status < 500;
 }
 
 static void apiPollAllLimitsProgress() {
@@ -458,17 +484,22 @@ static void netTask(void*) {
       apiLogin();
     }
 
-    double kwh = 0.0;
-    if (qSend && xQueueReceive(qSend, &kwh, pdMS_TO_TICKS(50)) == pdTRUE) {
+    SendItem item;
+    if (qSend && xQueueReceive(qSend, &item, pdMS_TO_TICKS(50)) == pdTRUE) {
       portENTER_CRITICAL(&gMux);
       gSending = true;
       portEXIT_CRITICAL(&gMux);
 
-      apiPostConsumption(kwh);
+      bool done = apiPostConsumption(item);
 
       portENTER_CRITICAL(&gMux);
       gSending = false;
       portEXIT_CRITICAL(&gMux);
+
+      if (!done) {
+        xQueueSendToFront(qSend, &item, 0);
+        vTaskDelay(pdMS_TO_TICKS(SEND_RETRY_DELAY_MS));
+      }
     }
 
     uint32_t now = millis();
@@ -512,7 +543,8 @@ void setup() {
   connectWiFi(15000);
   initTimeKyiv();
 
-  qSend = xQueueCreate(6, sizeof(double));
+  gBootId = esp_random();
+  qSend = xQueueCreate(SEND_BUFFER_SIZE, sizeof(SendItem));
   qCmd = xQueueCreate(6, sizeof(NetCmd));
   
   xTaskCreatePinnedToCore(netTask, "net", 12288, nullptr, 1, nullptr, 0);
@@ -0,0 +1,73 @@
+-- Base schema (MySQL). The app has no sequelize.sync(): apply this file and then every
+-- numbered migration in this folder, in order, to get the schema the models expect.
+
+CREATE TABLE users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  role ENUM('user','admin') NOT NULL DEFAULT 'user',
+  is_blocked BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE appliances (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  name VARCHAR(120) NOT NULL,
+  description VARCHAR(500),
+  estimated_power DECIMAL(10,3),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE tariffs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  price_per_kwh DECIMAL(10,4) NOT NULL,
+  tariff_name VARCHAR(120) NOT NULL,
+  valid_from DATE NOT NULL,
+  valid_to DATE,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE consumption_records (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  appliance_id INT NULL,
+  consumption_kwh DECIMAL(10,3) NOT NULL,
+  applied_price_per_kwh DECIMAL(10,4) NOT NULL,
+  cost DECIMAL(12,4) NOT NULL,
+  record_date DATE NOT NULL,
+  notes VARCHAR(500),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (appliance_id) REFERENCES appliances(id) ON DELETE SET NULL,
+  INDEX idx_user_date (user_id, record_date)
+);
+
+CREATE TABLE limits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  limit_kwh DECIMAL(10,3) NOT NULL,
+  period_type ENUM('week','month','year','custom') NOT NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  alert_enabled BOOLEAN DEFAULT TRUE,
+  alert_threshold_percent INT DEFAULT 80,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE audit_logs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  action VARCHAR(64) NOT NULL,
+  target_user_id INT NULL,
+  meta LONGTEXT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
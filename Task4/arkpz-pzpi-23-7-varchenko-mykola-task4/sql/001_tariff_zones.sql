@@ -0,0 +1,16 @@
+-- user-001: time-of-use zones of a tariff; records keep the time and zone they were priced by
+
+CREATE TABLE tariff_zones (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tariff_id INT NOT NULL,
+  zone_name VARCHAR(32) NOT NULL,
+  price_per_kwh DECIMAL(10,4) NOT NULL,
+  time_from TIME NOT NULL,
+  time_to TIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tariff_id) REFERENCES tariffs(id) ON DELETE CASCADE
+);
+
+ALTER TABLE consumption_records
+  ADD COLUMN record_time TIME NULL AFTER record_date,
+  ADD COLUMN zone VARCHAR(32) NULL AFTER record_time;
@@ -0,0 +1,14 @@
+-- user-002: monthly volume tiers of a tariff; records remember the tariff that priced them
+
+CREATE TABLE tariff_tiers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tariff_id INT NOT NULL,
+  from_kwh DECIMAL(10,3) NOT NULL,
+  price_per_kwh DECIMAL(10,4) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tariff_id) REFERENCES tariffs(id) ON DELETE CASCADE
+);
+
+ALTER TABLE consumption_records
+  ADD COLUMN tariff_id INT NULL AFTER appliance_id,
+  ADD CONSTRAINT fk_consumption_records_tariff FOREIGN KEY (tariff_id) REFERENCES tariffs(id) ON DELETE SET NULL;
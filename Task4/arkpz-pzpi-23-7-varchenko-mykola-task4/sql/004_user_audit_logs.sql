@@ -0,0 +1,11 @@
+-- user-004: user-scoped audit trail (tariff re-pricing); admin actions stay in audit_logs
+
+CREATE TABLE user_audit_logs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  action VARCHAR(64) NOT NULL,
+  meta LONGTEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_user_audit_logs_user (user_id, created_at),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
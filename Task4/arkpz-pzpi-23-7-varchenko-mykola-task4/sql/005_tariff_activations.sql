@@ -0,0 +1,17 @@
+-- user-005: scheduled tariff activation and the history of tariff switches
+
+ALTER TABLE tariffs
+  ADD COLUMN auto_activate BOOLEAN NOT NULL DEFAULT FALSE AFTER is_active;
+
+CREATE TABLE tariff_activations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  tariff_id INT NOT NULL,
+  previous_tariff_id INT NULL,
+  `trigger` ENUM('manual', 'scheduled') NOT NULL,
+  activated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_tariff_activations_user (user_id, activated_at),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (tariff_id) REFERENCES tariffs(id) ON DELETE CASCADE,
+  FOREIGN KEY (previous_tariff_id) REFERENCES tariffs(id) ON DELETE SET NULL
+);
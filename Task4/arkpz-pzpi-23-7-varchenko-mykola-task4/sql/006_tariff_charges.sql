@@ -0,0 +1,12 @@
+-- user-006: fixed and percentage charges of a tariff (standing charges, taxes)
+
+CREATE TABLE tariff_charges (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tariff_id INT NOT NULL,
+  name VARCHAR(120) NOT NULL,
+  charge_type ENUM('fixed', 'percent') NOT NULL,
+  amount DECIMAL(12,4) NOT NULL,
+  period ENUM('day', 'month') NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tariff_id) REFERENCES tariffs(id) ON DELETE CASCADE
+);
@@ -0,0 +1,22 @@
+-- user-008: per-record and per-tariff currency, user default currency and exchange rates
+
+ALTER TABLE users
+  ADD COLUMN default_currency VARCHAR(3) NOT NULL DEFAULT 'UAH';
+
+ALTER TABLE tariffs
+  ADD COLUMN currency VARCHAR(3) NOT NULL DEFAULT 'UAH' AFTER price_per_kwh;
+
+ALTER TABLE consumption_records
+  ADD COLUMN currency VARCHAR(3) NOT NULL DEFAULT 'UAH' AFTER cost;
+
+CREATE TABLE exchange_rates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  from_currency VARCHAR(3) NOT NULL,
+  to_currency VARCHAR(3) NOT NULL,
+  rate DECIMAL(18,8) NOT NULL,
+  rate_date DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_exchange_rates_lookup (user_id, from_currency, to_currency, rate_date),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,7 @@
+-- user-009: export/generation records and feed-in tariffs
+
+ALTER TABLE consumption_records
+  ADD COLUMN direction ENUM('import', 'export', 'generation') NOT NULL DEFAULT 'import' AFTER appliance_id;
+
+ALTER TABLE tariffs
+  ADD COLUMN tariff_type ENUM('consumption', 'feed_in') NOT NULL DEFAULT 'consumption' AFTER tariff_name;
@@ -0,0 +1,24 @@
+-- user-010: immutable tariff versions; records point at the version that priced them
+
+CREATE TABLE tariff_versions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tariff_id INT NOT NULL,
+  user_id INT NOT NULL,
+  version INT NOT NULL,
+  change_type ENUM('create', 'update', 'snapshot') NOT NULL,
+  snapshot LONGTEXT NOT NULL,
+  changed_by INT NULL,
+  changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_tariff_versions_version (tariff_id, version),
+  FOREIGN KEY (tariff_id) REFERENCES tariffs(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+ALTER TABLE tariffs
+  ADD COLUMN current_version_id INT NULL AFTER auto_activate,
+  ADD CONSTRAINT fk_tariffs_current_version FOREIGN KEY (current_version_id) REFERENCES tariff_versions(id) ON DELETE SET NULL;
+
+ALTER TABLE consumption_records
+  ADD COLUMN tariff_version_id INT NULL AFTER tariff_id,
+  ADD CONSTRAINT fk_consumption_records_tariff_version FOREIGN KEY (tariff_version_id) REFERENCES tariff_versions(id) ON DELETE SET NULL;
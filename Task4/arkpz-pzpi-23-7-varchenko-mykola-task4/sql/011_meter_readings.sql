@@ -0,0 +1,21 @@
+-- user-011: cumulative meter readings; the delta between readings is spread over daily consumption records
+
+CREATE TABLE meter_readings (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  register_name VARCHAR(32) NULL,
+  reading_date DATE NOT NULL,
+  value DECIMAL(12,3) NOT NULL,
+  reading_type ENUM('regular', 'rollover', 'replacement') NOT NULL DEFAULT 'regular',
+  register_capacity DECIMAL(12,3) NULL,
+  previous_meter_final DECIMAL(12,3) NULL,
+  consumption_kwh DECIMAL(10,3) NULL,
+  notes VARCHAR(500),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_meter_readings_user_date (user_id, register_name, reading_date),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+ALTER TABLE consumption_records
+  ADD COLUMN meter_reading_id INT NULL AFTER tariff_version_id,
+  ADD CONSTRAINT fk_consumption_records_meter_reading FOREIGN KEY (meter_reading_id) REFERENCES meter_readings(id) ON DELETE CASCADE;
@@ -0,0 +1,5 @@
+-- user-013: idempotency keys for batch uploads from devices
+
+ALTER TABLE consumption_records
+  ADD COLUMN idempotency_key VARCHAR(64) NULL AFTER notes,
+  ADD UNIQUE KEY uq_consumption_records_idempotency (user_id, idempotency_key);
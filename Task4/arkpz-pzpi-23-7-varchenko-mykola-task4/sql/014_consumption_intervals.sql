@@ -0,0 +1,17 @@
+-- user-014: sub-daily intervals rolled up into one daily consumption record
+
+CREATE TABLE consumption_intervals (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  appliance_id INT NULL,
+  direction ENUM('import', 'export', 'generation') NOT NULL DEFAULT 'import',
+  interval_date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  consumption_kwh DECIMAL(10,4) NOT NULL,
+  consumption_record_id INT NULL,
+  INDEX idx_consumption_intervals_user_date (user_id, interval_date),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (appliance_id) REFERENCES appliances(id) ON DELETE SET NULL,
+  FOREIGN KEY (consumption_record_id) REFERENCES consumption_records(id) ON DELETE SET NULL
+);
@@ -0,0 +1,4 @@
+-- user-016: where a consumption record came from
+
+ALTER TABLE consumption_records
+  ADD COLUMN source ENUM('manual', 'device', 'csv_import', 'meter_reading', 'interval') NOT NULL DEFAULT 'manual' AFTER idempotency_key;
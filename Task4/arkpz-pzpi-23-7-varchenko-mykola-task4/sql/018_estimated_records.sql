@@ -0,0 +1,5 @@
+-- user-018: estimated records that fill missing days
+
+ALTER TABLE consumption_records
+  MODIFY COLUMN source ENUM('manual', 'device', 'csv_import', 'meter_reading', 'interval', 'estimate') NOT NULL DEFAULT 'manual',
+  ADD COLUMN is_estimated BOOLEAN NOT NULL DEFAULT FALSE AFTER source;
@@ -0,0 +1,24 @@
+-- user-019: closable billing periods and their close/reopen history
+
+CREATE TABLE billing_periods (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  date_from DATE NOT NULL,
+  date_to DATE NOT NULL,
+  status ENUM('closed', 'open') NOT NULL DEFAULT 'closed',
+  notes VARCHAR(500),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_billing_periods_user_from (user_id, date_from),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE billing_period_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  billing_period_id INT NOT NULL,
+  user_id INT NOT NULL,
+  action ENUM('close', 'reopen') NOT NULL,
+  reason VARCHAR(500),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (billing_period_id) REFERENCES billing_periods(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
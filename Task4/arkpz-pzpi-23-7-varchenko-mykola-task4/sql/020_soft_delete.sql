@@ -0,0 +1,13 @@
+-- user-020: soft delete (trash) for records, appliances and tariffs
+
+ALTER TABLE consumption_records
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD INDEX idx_consumption_records_deleted (deleted_at);
+
+ALTER TABLE appliances
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD INDEX idx_appliances_deleted (deleted_at);
+
+ALTER TABLE tariffs
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD INDEX idx_tariffs_deleted (deleted_at);
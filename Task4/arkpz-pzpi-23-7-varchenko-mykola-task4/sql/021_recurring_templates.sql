@@ -0,0 +1,40 @@
+-- user-021: recurring usage templates that generate consumption records
+
+ALTER TABLE consumption_records
+  MODIFY COLUMN source ENUM('manual', 'device', 'csv_import', 'meter_reading', 'interval', 'estimate', 'recurring') NOT NULL DEFAULT 'manual';
+
+CREATE TABLE recurring_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  appliance_id INT NOT NULL,
+  usage_hours DECIMAL(5,2) NOT NULL,
+  weekdays VARCHAR(13) NOT NULL,
+  record_time TIME NULL,
+  zone VARCHAR(32) NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NULL,
+  is_paused BOOLEAN NOT NULL DEFAULT FALSE,
+  generated_through DATE NULL,
+  notes VARCHAR(500),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (appliance_id) REFERENCES appliances(id) ON DELETE CASCADE
+);
+
+CREATE TABLE recurring_template_skips (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  template_id INT NOT NULL,
+  skip_date DATE NOT NULL,
+  UNIQUE KEY uq_recurring_template_skips (template_id, skip_date),
+  FOREIGN KEY (template_id) REFERENCES recurring_templates(id) ON DELETE CASCADE
+);
+
+CREATE TABLE recurring_template_errors (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  template_id INT NOT NULL,
+  error_date DATE NOT NULL,
+  message VARCHAR(500) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_recurring_template_errors (template_id, error_date),
+  FOREIGN KEY (template_id) REFERENCES recurring_templates(id) ON DELETE CASCADE
+);
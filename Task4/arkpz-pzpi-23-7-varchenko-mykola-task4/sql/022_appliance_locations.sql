@@ -0,0 +1,18 @@
+-- user-022: appliance categories and the house/floor/room location tree
+
+CREATE TABLE locations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  parent_id INT NULL,
+  name VARCHAR(120) NOT NULL,
+  kind ENUM('house', 'floor', 'room', 'other') NOT NULL DEFAULT 'room',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_locations_user_parent (user_id, parent_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (parent_id) REFERENCES locations(id) ON DELETE RESTRICT
+);
+
+ALTER TABLE appliances
+  ADD COLUMN category ENUM('heating', 'cooling', 'water_heating', 'lighting', 'kitchen', 'laundry', 'electronics', 'office', 'ev_charging', 'other') NULL AFTER estimated_power,
+  ADD COLUMN location_id INT NULL AFTER category,
+  ADD CONSTRAINT fk_appliances_location FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE SET NULL;
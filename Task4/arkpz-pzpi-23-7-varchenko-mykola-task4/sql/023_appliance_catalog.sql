@@ -0,0 +1,22 @@
+-- user-023: built-in and admin-managed appliance catalog; server start seeds the built-in items
+
+CREATE TABLE appliance_catalog (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(60) NOT NULL UNIQUE,
+  name VARCHAR(120) NOT NULL,
+  category ENUM('heating', 'cooling', 'water_heating', 'lighting', 'kitchen', 'laundry', 'electronics', 'office', 'ev_charging', 'other') NOT NULL,
+  description VARCHAR(500),
+  typical_power_kw DECIMAL(10,3) NOT NULL,
+  standby_power_w DECIMAL(8,2) NOT NULL DEFAULT 0,
+  typical_hours_per_day DECIMAL(5,2) NOT NULL,
+  is_builtin BOOLEAN NOT NULL DEFAULT FALSE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_appliance_catalog_category (category),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+ALTER TABLE appliances
+  ADD COLUMN catalog_item_id INT NULL AFTER location_id,
+  ADD CONSTRAINT fk_appliances_catalog_item FOREIGN KEY (catalog_item_id) REFERENCES appliance_catalog(id) ON DELETE SET NULL;
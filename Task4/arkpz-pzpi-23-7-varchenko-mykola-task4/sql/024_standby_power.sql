@@ -0,0 +1,10 @@
+-- user-024: appliance standby draw, duty cycle and power curve; standby is charged once per appliance-day
+
+ALTER TABLE appliances
+  ADD COLUMN standby_power_w DECIMAL(8,2) NULL AFTER estimated_power,
+  ADD COLUMN duty_cycle DECIMAL(4,3) NULL AFTER standby_power_w,
+  ADD COLUMN power_curve TEXT NULL AFTER duty_cycle;
+
+ALTER TABLE consumption_records
+  ADD COLUMN standby_kwh DECIMAL(10,3) NOT NULL DEFAULT 0 AFTER consumption_kwh,
+  ADD COLUMN usage_hours DECIMAL(6,2) NULL AFTER standby_kwh;
@@ -0,0 +1,4 @@
+-- user-025: archived appliances stay in history but take no new records
+
+ALTER TABLE appliances
+  ADD COLUMN archived_at DATETIME NULL AFTER catalog_item_id;
@@ -9,6 +9,13 @@ import consumptionRoutes from './routes/consumption.routes.js'
 import reportsRoutes from './routes/reports.routes.js'
 import limitsRoutes from './routes/limits.routes.js'
 import adminRoutes from './routes/admin.routes.js'
+import settingsRoutes from './routes/settings.routes.js'
+import meterReadingsRoutes from './routes/meterReadings.routes.js'
+import intervalsRoutes from './routes/intervals.routes.js'
+import billingPeriodsRoutes from './routes/billingPeriods.routes.js'
+import recurringTemplatesRoutes from './routes/recurringTemplates.routes.js'
+import locationsRoutes from './routes/locations.routes.js'
+import applianceCatalogRoutes from './routes/applianceCatalog.routes.js'
 
 export function createApp() {
   const app = express()
@@ -24,9 +31,16 @@ export function createApp() {
   app.use('/api/auth', authRoutes)
   app.use('/api/appliances', appliancesRoutes)
 	app.use('/api/tariffs', tariffsRoutes)
+	app.use('/api/consumption/intervals', intervalsRoutes)
 	app.use('/api/consumption', consumptionRoutes)
 	app.use('/api/reports', reportsRoutes)
 	app.use('/api/limits', limitsRoutes)
   app.use('/api/admin', adminRoutes)
+  app.use('/api/settings', settingsRoutes)
+  app.use('/api/meter-readings', meterReadingsRoutes)
+  app.use('/api/billing-periods', billingPeriodsRoutes)
+  app.use('/api/recurring-templates', recurringTemplatesRoutes)
+  app.use('/api/locations', locationsRoutes)
+  app.use('/api/appliance-catalog', applianceCatalogRoutes)
   return app
 }
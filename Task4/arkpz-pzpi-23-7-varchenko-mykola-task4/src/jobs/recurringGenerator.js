@@ -0,0 +1,26 @@
+import { runRecurringTemplates } from '../services/recurring.js'
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000
+
+export function startRecurringGenerator() {
+  const intervalMs = Number(process.env.RECURRING_GENERATOR_INTERVAL_MS || DEFAULT_INTERVAL_MS)
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      const created = await runRecurringTemplates()
+      if (created > 0) console.log(`Recurring templates: generated ${created} record(s)`)
+    } catch (e) {
+      console.error('Recurring templates failed:', e.message)
+    } finally {
+      running = false
+    }
+  }
+
+  tick()
+  const timer = setInterval(tick, intervalMs)
+  timer.unref()
+  return timer
+}
@@ -0,0 +1,92 @@
+import { Op } from 'sequelize'
+import { Tariff, sequelize } from '../models/index.js'
+import { activateTariff } from '../services/tariffs.js'
+
+const DEFAULT_INTERVAL_MS = 60 * 1000
+
+function todayISO() {
+  return new Date().toISOString().slice(0, 10)
+}
+
+function dueWhere(today) {
+  return {
+    auto_activate: true,
+    is_active: false,
+    valid_from: { [Op.lte]: today },
+    [Op.or]: [{ valid_to: null }, { valid_to: { [Op.gte]: today } }]
+  }
+}
+
+// every step re-checks the tariff under a row lock, so a restart or a second instance cannot switch twice
+export async function runScheduledActivations() {
+  const today = todayISO()
+
+  const due = await Tariff.findAll({
+    where: dueWhere(today),
+    attributes: ['id', 'user_id', 'tariff_type', 'valid_from'],
+    order: [['user_id', 'ASC'], ['valid_from', 'DESC'], ['id', 'DESC']]
+  })
+
+  // consumption and feed-in tariffs are switched independently
+  const latestByUserAndType = new Map()
+  for (const t of due) {
+    const key = `${t.user_id}:${t.tariff_type}`
+    if (!latestByUserAndType.has(key)) latestByUserAndType.set(key, t.id)
+  }
+
+  let activated = 0
+  for (const tariffId of latestByUserAndType.values()) {
+    const done = await sequelize.transaction(async (t) => {
+      const row = await Tariff.findOne({
+        where: { id: tariffId, ...dueWhere(today) },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      })
+      if (!row) return false
+
+      await activateTariff(row, 'scheduled', t)
+
+      // older schedules of the same user are superseded by this switch
+      await Tariff.update(
+        { auto_activate: false },
+        {
+          where: {
+            user_id: row.user_id,
+            tariff_type: row.tariff_type,
+            auto_activate: true,
+            is_active: false,
+            valid_from: { [Op.lte]: row.valid_from }
+          },
+          transaction: t
+        }
+      )
+      return true
+    })
+    if (done) activated++
+  }
+
+  return activated
+}
+
+export function startTariffScheduler() {
+  const intervalMs = Number(process.env.TARIFF_SCHEDULER_INTERVAL_MS || DEFAULT_INTERVAL_MS)
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      const activated = await runScheduledActivations()
+      if (activated > 0) console.log(`Tariff scheduler: activated ${activated} tariff(s)`)
+    } catch (e) {
+      console.error('Tariff scheduler failed:', e.message)
+    } finally {
+      running = false
+    }
+  }
+
+  tick()
+  const timer = setInterval(tick, intervalMs)
+  timer.unref()
+  return timer
+}
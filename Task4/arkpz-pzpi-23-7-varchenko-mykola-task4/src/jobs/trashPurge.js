@@ -0,0 +1,29 @@
+import { purgeExpiredTrash } from '../services/trash.js'
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000
+
+export function startTrashPurge() {
+  const intervalMs = Number(process.env.TRASH_PURGE_INTERVAL_MS || DEFAULT_INTERVAL_MS)
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      const purged = await purgeExpiredTrash()
+      const total = purged.records + purged.appliances + purged.tariffs
+      if (total > 0) {
+        console.log(`Trash purge: removed ${purged.records} record(s), ${purged.appliances} appliance(s), ${purged.tariffs} tariff(s)`)
+      }
+    } catch (e) {
+      console.error('Trash purge failed:', e.message)
+    } finally {
+      running = false
+    }
+  }
+
+  tick()
+  const timer = setInterval(tick, intervalMs)
+  timer.unref()
+  return timer
+}
@@ -7,8 +7,34 @@ export const Appliance = sequelize.define('Appliance', {
   name: { type: DataTypes.STRING(120), allowNull: false },
   description: { type: DataTypes.STRING(500) },
   estimated_power: { type: DataTypes.DECIMAL(10, 3) },
-  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  standby_power_w: { type: DataTypes.DECIMAL(8, 2), allowNull: true },
+  duty_cycle: { type: DataTypes.DECIMAL(4, 3), allowNull: true },
+  power_curve: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const raw = this.getDataValue('power_curve')
+      return raw ? JSON.parse(raw) : null
+    },
+    set(value) {
+      this.setDataValue('power_curve', value == null ? null : JSON.stringify(value))
+    }
+  },
+  category: {
+    type: DataTypes.ENUM('heating', 'cooling', 'water_heating', 'lighting', 'kitchen', 'laundry', 'electronics', 'office', 'ev_charging', 'other'),
+    allowNull: true
+  },
+  location_id: { type: DataTypes.INTEGER, allowNull: true },
+  catalog_item_id: { type: DataTypes.INTEGER, allowNull: true },
+  // archived appliances are hidden from pick lists and take no new records, history keeps them
+  archived_at: { type: DataTypes.DATE, allowNull: true },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+  deleted_at: { type: DataTypes.DATE, allowNull: true }
 }, {
   tableName: 'appliances',
-  timestamps: false
+  timestamps: true,
+  createdAt: false,
+  updatedAt: false,
+  deletedAt: 'deleted_at',
+  paranoid: true
 })
@@ -0,0 +1,24 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const ApplianceCatalogItem = sequelize.define('ApplianceCatalogItem', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  code: { type: DataTypes.STRING(60), allowNull: false, unique: true },
+  name: { type: DataTypes.STRING(120), allowNull: false },
+  category: {
+    type: DataTypes.ENUM('heating', 'cooling', 'water_heating', 'lighting', 'kitchen', 'laundry', 'electronics', 'office', 'ev_charging', 'other'),
+    allowNull: false
+  },
+  description: { type: DataTypes.STRING(500), allowNull: true },
+  typical_power_kw: { type: DataTypes.DECIMAL(10, 3), allowNull: false },
+  standby_power_w: { type: DataTypes.DECIMAL(8, 2), allowNull: false, defaultValue: 0 },
+  typical_hours_per_day: { type: DataTypes.DECIMAL(5, 2), allowNull: false },
+  is_builtin: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  is_active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+  created_by: { type: DataTypes.INTEGER, allowNull: true },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'appliance_catalog',
+  timestamps: false,
+  indexes: [{ fields: ['category'] }]
+})
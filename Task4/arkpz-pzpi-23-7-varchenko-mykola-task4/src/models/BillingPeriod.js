@@ -0,0 +1,16 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const BillingPeriod = sequelize.define('BillingPeriod', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  user_id: { type: DataTypes.INTEGER, allowNull: false },
+  date_from: { type: DataTypes.DATEONLY, allowNull: false },
+  date_to: { type: DataTypes.DATEONLY, allowNull: false },
+  status: { type: DataTypes.ENUM('closed', 'open'), allowNull: false, defaultValue: 'closed' },
+  notes: { type: DataTypes.STRING(500), allowNull: true },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'billing_periods',
+  timestamps: false,
+  indexes: [{ fields: ['user_id', 'date_from'] }]
+})
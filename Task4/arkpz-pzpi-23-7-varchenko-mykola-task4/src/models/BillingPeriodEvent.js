@@ -0,0 +1,14 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const BillingPeriodEvent = sequelize.define('BillingPeriodEvent', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  billing_period_id: { type: DataTypes.INTEGER, allowNull: false },
+  user_id: { type: DataTypes.INTEGER, allowNull: false },
+  action: { type: DataTypes.ENUM('close', 'reopen'), allowNull: false },
+  reason: { type: DataTypes.STRING(500), allowNull: true },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'billing_period_events',
+  timestamps: false
+})
@@ -0,0 +1,19 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+// high-volume rows: no pricing here, the daily roll-up record in consumption_records carries the cost
+export const ConsumptionInterval = sequelize.define('ConsumptionInterval', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  user_id: { type: DataTypes.INTEGER, allowNull: false },
+  appliance_id: { type: DataTypes.INTEGER, allowNull: true },
+  direction: { type: DataTypes.ENUM('import', 'export', 'generation'), allowNull: false, defaultValue: 'import' },
+  interval_date: { type: DataTypes.DATEONLY, allowNull: false },
+  start_time: { type: DataTypes.TIME, allowNull: false },
+  end_time: { type: DataTypes.TIME, allowNull: false },
+  consumption_kwh: { type: DataTypes.DECIMAL(10, 4), allowNull: false },
+  consumption_record_id: { type: DataTypes.INTEGER, allowNull: true }
+}, {
+  tableName: 'consumption_intervals',
+  timestamps: false,
+  indexes: [{ fields: ['user_id', 'interval_date'] }]
+})
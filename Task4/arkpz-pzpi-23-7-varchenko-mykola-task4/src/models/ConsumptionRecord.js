@@ -5,17 +5,43 @@ export const ConsumptionRecord = sequelize.define('ConsumptionRecord', {
   id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
   user_id: { type: DataTypes.INTEGER, allowNull: false },
   appliance_id: { type: DataTypes.INTEGER, allowNull: true },
+  tariff_id: { type: DataTypes.INTEGER, allowNull: true },
+  tariff_version_id: { type: DataTypes.INTEGER, allowNull: true },
+  // set on the daily records a meter reading's delta is spread over
+  meter_reading_id: { type: DataTypes.INTEGER, allowNull: true },
+  direction: { type: DataTypes.ENUM('import', 'export', 'generation'), allowNull: false, defaultValue: 'import' },
 
   consumption_kwh: { type: DataTypes.DECIMAL(10, 3), allowNull: false },
+  // part of consumption_kwh drawn in standby; an appliance-day's standby is booked on its first usage_hours record
+  standby_kwh: { type: DataTypes.DECIMAL(10, 3), allowNull: false, defaultValue: 0 },
+  // set when the kWh were calculated from the appliance's hours of use
+  usage_hours: { type: DataTypes.DECIMAL(6, 2), allowNull: true },
   applied_price_per_kwh: { type: DataTypes.DECIMAL(10, 4), allowNull: false },
   cost: { type: DataTypes.DECIMAL(12, 4), allowNull: false },
+  currency: { type: DataTypes.STRING(3), allowNull: false, defaultValue: 'UAH' },
 
   record_date: { type: DataTypes.DATEONLY, allowNull: false },
+  record_time: { type: DataTypes.TIME, allowNull: true },
+  zone: { type: DataTypes.STRING(32), allowNull: true },
   notes: { type: DataTypes.STRING(500), allowNull: true },
+  idempotency_key: { type: DataTypes.STRING(64), allowNull: true },
+  source: {
+    type: DataTypes.ENUM('manual', 'device', 'csv_import', 'meter_reading', 'interval', 'estimate', 'recurring'),
+    allowNull: false,
+    defaultValue: 'manual'
+  },
+  is_estimated: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
 
   created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
-  updated_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  updated_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+  deleted_at: { type: DataTypes.DATE, allowNull: true }
 }, {
   tableName: 'consumption_records',
-  timestamps: false
+  // soft delete: destroy() only sets deleted_at, finders skip trashed rows
+  timestamps: true,
+  createdAt: false,
+  updatedAt: false,
+  deletedAt: 'deleted_at',
+  paranoid: true,
+  indexes: [{ unique: true, fields: ['user_id', 'idempotency_key'] }]
 })
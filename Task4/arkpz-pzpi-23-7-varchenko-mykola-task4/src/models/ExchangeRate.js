@@ -0,0 +1,15 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const ExchangeRate = sequelize.define('ExchangeRate', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  user_id: { type: DataTypes.INTEGER, allowNull: false },
+  from_currency: { type: DataTypes.STRING(3), allowNull: false },
+  to_currency: { type: DataTypes.STRING(3), allowNull: false },
+  rate: { type: DataTypes.DECIMAL(18, 8), allowNull: false },
+  rate_date: { type: DataTypes.DATEONLY, allowNull: false },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'exchange_rates',
+  timestamps: false
+})
@@ -0,0 +1,15 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const Location = sequelize.define('Location', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  user_id: { type: DataTypes.INTEGER, allowNull: false },
+  parent_id: { type: DataTypes.INTEGER, allowNull: true },
+  name: { type: DataTypes.STRING(120), allowNull: false },
+  kind: { type: DataTypes.ENUM('house', 'floor', 'room', 'other'), allowNull: false, defaultValue: 'room' },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'locations',
+  timestamps: false,
+  indexes: [{ fields: ['user_id', 'parent_id'] }]
+})
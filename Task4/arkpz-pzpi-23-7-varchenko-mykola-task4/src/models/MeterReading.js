@@ -0,0 +1,19 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const MeterReading = sequelize.define('MeterReading', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  user_id: { type: DataTypes.INTEGER, allowNull: false },
+  register_name: { type: DataTypes.STRING(32), allowNull: true },
+  reading_date: { type: DataTypes.DATEONLY, allowNull: false },
+  value: { type: DataTypes.DECIMAL(12, 3), allowNull: false },
+  reading_type: { type: DataTypes.ENUM('regular', 'rollover', 'replacement'), allowNull: false, defaultValue: 'regular' },
+  register_capacity: { type: DataTypes.DECIMAL(12, 3), allowNull: true },
+  previous_meter_final: { type: DataTypes.DECIMAL(12, 3), allowNull: true },
+  consumption_kwh: { type: DataTypes.DECIMAL(10, 3), allowNull: true },
+  notes: { type: DataTypes.STRING(500), allowNull: true },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'meter_readings',
+  timestamps: false
+})
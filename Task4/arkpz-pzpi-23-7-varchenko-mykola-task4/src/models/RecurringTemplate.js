@@ -0,0 +1,22 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const RecurringTemplate = sequelize.define('RecurringTemplate', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  user_id: { type: DataTypes.INTEGER, allowNull: false },
+  appliance_id: { type: DataTypes.INTEGER, allowNull: false },
+  usage_hours: { type: DataTypes.DECIMAL(5, 2), allowNull: false },
+  // ISO weekdays, 1 = Monday ... 7 = Sunday, comma-separated
+  weekdays: { type: DataTypes.STRING(13), allowNull: false },
+  record_time: { type: DataTypes.TIME, allowNull: true },
+  zone: { type: DataTypes.STRING(32), allowNull: true },
+  start_date: { type: DataTypes.DATEONLY, allowNull: false },
+  end_date: { type: DataTypes.DATEONLY, allowNull: true },
+  is_paused: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  generated_through: { type: DataTypes.DATEONLY, allowNull: true },
+  notes: { type: DataTypes.STRING(500), allowNull: true },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'recurring_templates',
+  timestamps: false
+})
@@ -0,0 +1,15 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+// a scheduled day that could not be generated; it is retried on every run until it succeeds or is skipped
+export const RecurringTemplateError = sequelize.define('RecurringTemplateError', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  template_id: { type: DataTypes.INTEGER, allowNull: false },
+  error_date: { type: DataTypes.DATEONLY, allowNull: false },
+  message: { type: DataTypes.STRING(500), allowNull: false },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'recurring_template_errors',
+  timestamps: false,
+  indexes: [{ unique: true, fields: ['template_id', 'error_date'] }]
+})
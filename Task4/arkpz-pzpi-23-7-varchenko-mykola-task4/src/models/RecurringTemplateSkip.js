@@ -0,0 +1,12 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const RecurringTemplateSkip = sequelize.define('RecurringTemplateSkip', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  template_id: { type: DataTypes.INTEGER, allowNull: false },
+  skip_date: { type: DataTypes.DATEONLY, allowNull: false }
+}, {
+  tableName: 'recurring_template_skips',
+  timestamps: false,
+  indexes: [{ unique: true, fields: ['template_id', 'skip_date'] }]
+})
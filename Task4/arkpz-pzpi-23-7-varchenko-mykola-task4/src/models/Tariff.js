@@ -5,12 +5,21 @@ export const Tariff = sequelize.define('Tariff', {
   id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
   user_id: { type: DataTypes.INTEGER, allowNull: false },
   price_per_kwh: { type: DataTypes.DECIMAL(10, 4), allowNull: false },
+  currency: { type: DataTypes.STRING(3), allowNull: false, defaultValue: 'UAH' },
   tariff_name: { type: DataTypes.STRING(120), allowNull: false },
+  tariff_type: { type: DataTypes.ENUM('consumption', 'feed_in'), allowNull: false, defaultValue: 'consumption' },
   valid_from: { type: DataTypes.DATEONLY, allowNull: false },
   valid_to: { type: DataTypes.DATEONLY, allowNull: true },
   is_active: { type: DataTypes.BOOLEAN, defaultValue: true },
-  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  auto_activate: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  current_version_id: { type: DataTypes.INTEGER, allowNull: true },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+  deleted_at: { type: DataTypes.DATE, allowNull: true }
 }, {
   tableName: 'tariffs',
-  timestamps: false
+  timestamps: true,
+  createdAt: false,
+  updatedAt: false,
+  deletedAt: 'deleted_at',
+  paranoid: true
 })
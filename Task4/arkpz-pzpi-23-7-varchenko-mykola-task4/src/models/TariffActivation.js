@@ -0,0 +1,14 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const TariffActivation = sequelize.define('TariffActivation', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  user_id: { type: DataTypes.INTEGER, allowNull: false },
+  tariff_id: { type: DataTypes.INTEGER, allowNull: false },
+  previous_tariff_id: { type: DataTypes.INTEGER, allowNull: true },
+  trigger: { type: DataTypes.ENUM('manual', 'scheduled'), allowNull: false },
+  activated_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'tariff_activations',
+  timestamps: false
+})
@@ -0,0 +1,15 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const TariffCharge = sequelize.define('TariffCharge', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  tariff_id: { type: DataTypes.INTEGER, allowNull: false },
+  name: { type: DataTypes.STRING(120), allowNull: false },
+  charge_type: { type: DataTypes.ENUM('fixed', 'percent'), allowNull: false },
+  amount: { type: DataTypes.DECIMAL(12, 4), allowNull: false },
+  period: { type: DataTypes.ENUM('day', 'month'), allowNull: true },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'tariff_charges',
+  timestamps: false
+})
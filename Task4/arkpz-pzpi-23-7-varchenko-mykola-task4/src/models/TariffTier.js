@@ -0,0 +1,13 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const TariffTier = sequelize.define('TariffTier', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  tariff_id: { type: DataTypes.INTEGER, allowNull: false },
+  from_kwh: { type: DataTypes.DECIMAL(10, 3), allowNull: false },
+  price_per_kwh: { type: DataTypes.DECIMAL(10, 4), allowNull: false },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'tariff_tiers',
+  timestamps: false
+})
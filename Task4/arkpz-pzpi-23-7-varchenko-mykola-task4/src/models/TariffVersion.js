@@ -0,0 +1,17 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const TariffVersion = sequelize.define('TariffVersion', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  tariff_id: { type: DataTypes.INTEGER, allowNull: false },
+  user_id: { type: DataTypes.INTEGER, allowNull: false },
+  version: { type: DataTypes.INTEGER, allowNull: false },
+  change_type: { type: DataTypes.ENUM('create', 'update', 'snapshot'), allowNull: false },
+  snapshot: { type: DataTypes.TEXT('long'), allowNull: false },
+  changed_by: { type: DataTypes.INTEGER, allowNull: true },
+  changed_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'tariff_versions',
+  timestamps: false,
+  indexes: [{ unique: true, fields: ['tariff_id', 'version'] }]
+})
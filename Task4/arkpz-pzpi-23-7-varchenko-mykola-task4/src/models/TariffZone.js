@@ -0,0 +1,15 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+export const TariffZone = sequelize.define('TariffZone', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  tariff_id: { type: DataTypes.INTEGER, allowNull: false },
+  zone_name: { type: DataTypes.STRING(32), allowNull: false },
+  price_per_kwh: { type: DataTypes.DECIMAL(10, 4), allowNull: false },
+  time_from: { type: DataTypes.TIME, allowNull: false },
+  time_to: { type: DataTypes.TIME, allowNull: false },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'tariff_zones',
+  timestamps: false
+})
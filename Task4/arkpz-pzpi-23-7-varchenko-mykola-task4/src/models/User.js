@@ -7,6 +7,7 @@ export const User = sequelize.define('User', {
   password_hash: { type: DataTypes.STRING(255), allowNull: false },
   role: { type: DataTypes.ENUM('user', 'admin'), allowNull: false, defaultValue: 'user' },
   is_blocked: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  default_currency: { type: DataTypes.STRING(3), allowNull: false, defaultValue: 'UAH' },
   created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
 }, {
   tableName: 'users',
@@ -0,0 +1,15 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+// audit trail of changes a user makes to their own data; admin actions go to AuditLog
+export const UserAuditLog = sequelize.define('UserAuditLog', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  user_id: { type: DataTypes.INTEGER, allowNull: false },
+  action: { type: DataTypes.STRING(64), allowNull: false },
+  details: { type: DataTypes.TEXT('long'), allowNull: true, field: 'meta' },
+  created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+}, {
+  tableName: 'user_audit_logs',
+  timestamps: false,
+  indexes: [{ fields: ['user_id', 'created_at'] }]
+})
@@ -2,11 +2,41 @@ import { sequelize } from '../config/db.js'
 import { User } from './User.js'
 import { Appliance } from './Appliance.js'
 import { Tariff } from './Tariff.js'
+import { TariffZone } from './TariffZone.js'
+import { TariffTier } from './TariffTier.js'
+import { TariffActivation } from './TariffActivation.js'
+import { TariffCharge } from './TariffCharge.js'
+import { TariffVersion } from './TariffVersion.js'
 import { ConsumptionRecord } from './ConsumptionRecord.js'
+import { MeterReading } from './MeterReading.js'
+import { ConsumptionInterval } from './ConsumptionInterval.js'
 import { Limit } from './Limit.js'
 import { AuditLog } from './AuditLog.js'
+import { UserAuditLog } from './UserAuditLog.js'
+import { ExchangeRate } from './ExchangeRate.js'
+import { BillingPeriod } from './BillingPeriod.js'
+import { BillingPeriodEvent } from './BillingPeriodEvent.js'
+import { RecurringTemplate } from './RecurringTemplate.js'
+import { RecurringTemplateSkip } from './RecurringTemplateSkip.js'
+import { RecurringTemplateError } from './RecurringTemplateError.js'
+import { Location } from './Location.js'
+import { ApplianceCatalogItem } from './ApplianceCatalogItem.js'
 
 AuditLog.belongsTo(User, { foreignKey: 'admin_id', as: 'admin' })
 AuditLog.belongsTo(User, { foreignKey: 'target_user_id', as: 'target_user' })
+UserAuditLog.belongsTo(User, { foreignKey: 'user_id', as: 'user' })
 
-export { sequelize, User, Appliance, Tariff, ConsumptionRecord, Limit, AuditLog }
+Tariff.hasMany(TariffZone, { foreignKey: 'tariff_id', as: 'zones' })
+Tariff.hasMany(TariffTier, { foreignKey: 'tariff_id', as: 'tiers' })
+Tariff.hasMany(TariffCharge, { foreignKey: 'tariff_id', as: 'charges' })
+TariffActivation.belongsTo(Tariff, { foreignKey: 'tariff_id', as: 'tariff' })
+TariffActivation.belongsTo(Tariff, { foreignKey: 'previous_tariff_id', as: 'previous_tariff' })
+TariffVersion.belongsTo(User, { foreignKey: 'changed_by', as: 'changed_by_user' })
+MeterReading.hasMany(ConsumptionRecord, { foreignKey: 'meter_reading_id', as: 'consumption_records' })
+BillingPeriod.hasMany(BillingPeriodEvent, { foreignKey: 'billing_period_id', as: 'events' })
+RecurringTemplate.hasMany(RecurringTemplateSkip, { foreignKey: 'template_id', as: 'skips' })
+RecurringTemplate.hasMany(RecurringTemplateError, { foreignKey: 'template_id', as: 'errors' })
+Appliance.belongsTo(Location, { foreignKey: 'location_id', as: 'location' })
+Appliance.belongsTo(ApplianceCatalogItem, { foreignKey: 'catalog_item_id', as: 'catalog_item' })
+
+export { sequelize, User, Appliance, Tariff, TariffZone, TariffTier, TariffActivation, TariffCharge, TariffVersion, ConsumptionRecord, MeterReading, ConsumptionInterval, Limit, AuditLog, UserAuditLog, ExchangeRate, BillingPeriod, BillingPeriodEvent, RecurringTemplate, RecurringTemplateSkip, RecurringTemplateError, Location, ApplianceCatalogItem }
@@ -1,7 +1,10 @@
 import { Router } from 'express'
 import { Op } from 'sequelize'
-import { User, AuditLog } from '../models/index.js'
+import { User, AuditLog, Appliance, ApplianceCatalogItem, sequelize } from '../models/index.js'
 import { auth, requireAdmin } from '../middleware/auth.js'
+import { writeAudit } from '../services/audit.js'
+import { APPLIANCE_CATEGORIES } from '../services/appliances.js'
+import { catalogSearchWhere } from '../services/catalog.js'
 
 const router = Router()
 
@@ -22,21 +25,70 @@ function parseBool(v) {
   return null
 }
 
-async function countActiveAdmins() {
-  return User.count({ where: { role: 'admin', is_blocked: false } })
-}
+function parseCatalogItem(body, partial) {
+  const { code, name, category, description, typical_power_kw, standby_power_w, typical_hours_per_day, is_active } = body || {}
+  const values = {}
+  const has = (v) => v !== undefined || !partial
 
-async function writeAudit(req, action, targetUserId = null, detailsObj = null) {
-  try {
-    await AuditLog.create({
-      admin_id: req.user.id,
-      action,
-      target_user_id: targetUserId,
-      details: detailsObj ? JSON.stringify(detailsObj) : null
-    })
-  } catch (e) {
-    console.error('AuditLog write failed:', e)
+  if (!partial) {
+    if (typeof code !== 'string' || !/^[a-z0-9_]{2,60}$/.test(code)) {
+      return { error: 'code is required (2..60 characters: a-z, 0-9, _)' }
+    }
+    values.code = code
+  }
+
+  if (has(name)) {
+    if (typeof name !== 'string' || name.trim() === '' || name.trim().length > 120) {
+      return { error: 'name is required (up to 120 characters)' }
+    }
+    values.name = name.trim()
+  }
+
+  if (has(category)) {
+    if (!APPLIANCE_CATEGORIES.includes(category)) {
+      return { error: `category must be one of: ${APPLIANCE_CATEGORIES.join(', ')}` }
+    }
+    values.category = category
+  }
+
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > 500)) {
+      return { error: 'description must be a string up to 500 characters' }
+    }
+    values.description = description || null
+  }
+
+  if (has(typical_power_kw)) {
+    const n = Number(typical_power_kw)
+    if (typical_power_kw == null || !Number.isFinite(n) || n <= 0) return { error: 'typical_power_kw must be > 0' }
+    values.typical_power_kw = n
+  }
+
+  if (standby_power_w !== undefined) {
+    const n = Number(standby_power_w)
+    if (standby_power_w == null || !Number.isFinite(n) || n < 0) return { error: 'standby_power_w must be >= 0' }
+    values.standby_power_w = n
+  }
+
+  if (has(typical_hours_per_day)) {
+    const n = Number(typical_hours_per_day)
+    if (typical_hours_per_day == null || !Number.isFinite(n) || n < 0 || n > 24) {
+      return { error: 'typical_hours_per_day must be in [0, 24]' }
+    }
+    values.typical_hours_per_day = n
+  }
+
+  if (is_active !== undefined) {
+    const parsed = parseBool(is_active)
+    if (parsed == null) return { error: 'is_active must be boolean' }
+    values.is_active = parsed
   }
+
+  return { values }
+}
+
+async function countActiveAdmins() {
+  return User.count({ where: { role: 'admin', is_blocked: false } })
 }
 
 /**
@@ -432,4 +484,242 @@ router.get('/audit-logs', async (req, res, next) => {
   }
 })
 
+/**
+ * @openapi
+ * /api/admin/appliance-catalog:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List appliance catalog entries, including deactivated ones (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema: { type: string, example: "heater" }
+ *       - in: query
+ *         name: category
+ *         schema: { type: string, example: "heating" }
+ *       - in: query
+ *         name: is_active
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *         description: Default 50, max 200
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, example: 0 }
+ *         description: Default 0
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin only
+ */
+router.get('/appliance-catalog', async (req, res, next) => {
+  try {
+    const q = req.query.q != null ? String(req.query.q).trim() : ''
+    const category = req.query.category != null ? String(req.query.category) : null
+    if (category && !APPLIANCE_CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: `category must be one of: ${APPLIANCE_CATEGORIES.join(', ')}` })
+    }
+
+    const limitRaw = req.query.limit != null ? Number(req.query.limit) : 50
+    const offsetRaw = req.query.offset != null ? Number(req.query.offset) : 0
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(1, limitRaw), 200) : 50
+    const offset = Number.isFinite(offsetRaw) ? Math.max(0, offsetRaw) : 0
+
+    const where = catalogSearchWhere({ q, category, includeInactive: true })
+    if (req.query.is_active != null) {
+      const parsed = parseBool(req.query.is_active)
+      if (parsed == null) return res.status(400).json({ message: 'is_active must be boolean' })
+      where.is_active = parsed
+    }
+
+    const result = await ApplianceCatalogItem.findAndCountAll({
+      where,
+      order: [['category', 'ASC'], ['name', 'ASC']],
+      limit,
+      offset
+    })
+
+    res.json({
+      total: result.count,
+      limit,
+      offset,
+      items: result.rows
+    })
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/admin/appliance-catalog:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Add an appliance to the catalog (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, name, category, typical_power_kw, typical_hours_per_day]
+ *             properties:
+ *               code: { type: string, example: "bread_maker" }
+ *               name: { type: string, example: "Bread maker" }
+ *               category: { type: string, example: "kitchen" }
+ *               description: { type: string }
+ *               typical_power_kw: { type: number, example: 0.6 }
+ *               standby_power_w: { type: number, example: 1 }
+ *               typical_hours_per_day: { type: number, example: 0.5 }
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin only
+ *       409:
+ *         description: Code already exists
+ */
+router.post('/appliance-catalog', async (req, res, next) => {
+  try {
+    const input = parseCatalogItem(req.body, false)
+    if (input.error) return res.status(400).json({ message: input.error })
+
+    const exists = await ApplianceCatalogItem.count({ where: { code: input.values.code } })
+    if (exists) return res.status(409).json({ message: 'code already exists' })
+
+    const created = await ApplianceCatalogItem.create({ ...input.values, is_builtin: false, created_by: req.user.id })
+
+    await writeAudit(req, 'CATALOG_ITEM_CREATE', null, { id: created.id, code: created.code, name: created.name })
+
+    res.status(201).json(created)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/admin/appliance-catalog/{id}:
+ *   patch:
+ *     tags:
+ *       - Admin
+ *     summary: Update or deactivate a catalog entry (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               category: { type: string }
+ *               description: { type: string }
+ *               typical_power_kw: { type: number }
+ *               standby_power_w: { type: number }
+ *               typical_hours_per_day: { type: number }
+ *               is_active: { type: boolean, description: "Deactivated entries are hidden from users" }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin only
+ *       404:
+ *         description: Not found
+ */
+router.patch('/appliance-catalog/:id', async (req, res, next) => {
+  try {
+    const row = await ApplianceCatalogItem.findByPk(Number(req.params.id))
+    if (!row) return res.status(404).json({ message: 'not found' })
+
+    const input = parseCatalogItem(req.body, true)
+    if (input.error) return res.status(400).json({ message: input.error })
+
+    await row.update(input.values)
+
+    await writeAudit(req, 'CATALOG_ITEM_UPDATE', null, { id: row.id, code: row.code, changes: input.values })
+
+    res.json(row)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/admin/appliance-catalog/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Delete an admin-added catalog entry (admin only)
+ *     description: Built-in entries cannot be deleted, only deactivated. Appliances created from the entry are kept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin only
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Built-in entry
+ */
+router.delete('/appliance-catalog/:id', async (req, res, next) => {
+  try {
+    const row = await ApplianceCatalogItem.findByPk(Number(req.params.id))
+    if (!row) return res.status(404).json({ message: 'not found' })
+    if (row.is_builtin) {
+      return res.status(409).json({ message: 'built-in entries cannot be deleted, set is_active to false instead' })
+    }
+
+    await sequelize.transaction(async (t) => {
+      await Appliance.update(
+        { catalog_item_id: null },
+        { where: { catalog_item_id: row.id }, paranoid: false, transaction: t }
+      )
+      await row.destroy({ transaction: t })
+    })
+
+    await writeAudit(req, 'CATALOG_ITEM_DELETE', null, { id: row.id, code: row.code, name: row.name })
+
+    res.status(204).send()
+  } catch (e) {
+    next(e)
+  }
+})
+
 export default router
@@ -0,0 +1,105 @@
+import { Router } from 'express'
+import { auth } from '../middleware/auth.js'
+import { ApplianceCatalogItem } from '../models/index.js'
+import { APPLIANCE_CATEGORIES } from '../services/appliances.js'
+import { catalogSearchWhere } from '../services/catalog.js'
+
+const router = Router()
+
+/**
+ * @openapi
+ * /api/appliance-catalog:
+ *   get:
+ *     tags:
+ *       - Appliance catalog
+ *     summary: Browse typical household appliances (power, standby draw and daily hours)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema: { type: string, example: "heater" }
+ *         description: Search in name and description
+ *       - in: query
+ *         name: category
+ *         schema: { type: string, example: "heating" }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *         description: Default 50, max 200
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, example: 0 }
+ *         description: Default 0
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ */
+router.get('/', auth, async (req, res, next) => {
+  try {
+    const q = req.query.q != null ? String(req.query.q).trim() : ''
+    const category = req.query.category != null ? String(req.query.category) : null
+    if (category && !APPLIANCE_CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: `category must be one of: ${APPLIANCE_CATEGORIES.join(', ')}` })
+    }
+
+    const limitRaw = req.query.limit != null ? Number(req.query.limit) : 50
+    const offsetRaw = req.query.offset != null ? Number(req.query.offset) : 0
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(1, limitRaw), 200) : 50
+    const offset = Number.isFinite(offsetRaw) ? Math.max(0, offsetRaw) : 0
+
+    const result = await ApplianceCatalogItem.findAndCountAll({
+      where: catalogSearchWhere({ q, category }),
+      attributes: { exclude: ['created_by', 'is_active'] },
+      order: [['category', 'ASC'], ['name', 'ASC']],
+      limit,
+      offset
+    })
+
+    res.json({
+      total: result.count,
+      limit,
+      offset,
+      items: result.rows
+    })
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/appliance-catalog/{id}:
+ *   get:
+ *     tags:
+ *       - Appliance catalog
+ *     summary: Get a catalog entry
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found
+ */
+router.get('/:id', auth, async (req, res, next) => {
+  try {
+    const row = await ApplianceCatalogItem.findOne({
+      where: { id: Number(req.params.id), is_active: true },
+      attributes: { exclude: ['created_by', 'is_active'] }
+    })
+    if (!row) return res.status(404).json({ message: 'not found' })
+    res.json(row)
+  } catch (e) {
+    next(e)
+  }
+})
+
+export default router
@@ -1,9 +1,54 @@
 import { Router } from 'express'
 import { auth } from '../middleware/auth.js'
-import { Appliance } from '../models/index.js'
+import { Op } from 'sequelize'
+import { Appliance, ApplianceCatalogItem, Location, RecurringTemplate, sequelize } from '../models/index.js'
+import { listTrash, findTrashed, trashRetentionDays } from '../services/trash.js'
+import {
+  APPLIANCE_CATEGORIES,
+  countApplianceReferences,
+  deleteApplianceReferences,
+  parseDutyCycle,
+  parsePowerCurve,
+  parseStandbyPower
+} from '../services/appliances.js'
+import { loadLocations, locationPath } from '../services/locations.js'
 
 const router = Router()
 
+function parseBool(v) {
+  if (v === true || v === false) return v
+  if (v === 'true' || v === '1') return true
+  if (v === 'false' || v === '0') return false
+  return null
+}
+
+function parseCategory(value) {
+  if (value === undefined) return { category: undefined }
+  if (value === null || value === '') return { category: null }
+  if (!APPLIANCE_CATEGORIES.includes(value)) {
+    return { error: `category must be one of: ${APPLIANCE_CATEGORIES.join(', ')}` }
+  }
+  return { category: value }
+}
+
+function parsePowerModel({ standby_power_w, duty_cycle, power_curve }) {
+  const standby = parseStandbyPower(standby_power_w)
+  if (standby.error) return standby
+  const duty = parseDutyCycle(duty_cycle)
+  if (duty.error) return duty
+  const curve = parsePowerCurve(power_curve)
+  if (curve.error) return curve
+  return { standbyPowerW: standby.standbyPowerW, dutyCycle: duty.dutyCycle, powerCurve: curve.powerCurve }
+}
+
+async function parseLocationId(userId, value) {
+  if (value === undefined) return { locationId: undefined }
+  if (value === null) return { locationId: null }
+  const location = await Location.findOne({ where: { id: Number(value), user_id: userId } })
+  if (!location) return { error: 'location not found' }
+  return { locationId: location.id }
+}
+
 /**
  * @openapi
  * /api/appliances:
@@ -13,14 +58,49 @@ const router = Router()
  *     summary: List appliances for current user
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema: { type: string, example: "heating" }
+ *       - in: query
+ *         name: location_id
+ *         schema: { type: integer }
+ *         description: Appliances in the location and all locations inside it
+ *       - in: query
+ *         name: include_archived
+ *         schema: { type: boolean, default: false }
  *     responses:
  *       200:
  *         description: OK
+ *       400:
+ *         description: Validation error
  */
 router.get('/', auth, async (req, res, next) => {
   try {
+    const where = { user_id: req.user.id }
+
+    const includeArchived = req.query.include_archived == null ? false : parseBool(req.query.include_archived)
+    if (includeArchived == null) return res.status(400).json({ message: 'include_archived must be boolean' })
+    if (!includeArchived) where.archived_at = null
+
+    if (req.query.category != null) {
+      const category = String(req.query.category)
+      if (!APPLIANCE_CATEGORIES.includes(category)) {
+        return res.status(400).json({ message: `category must be one of: ${APPLIANCE_CATEGORIES.join(', ')}` })
+      }
+      where.category = category
+    }
+
+    if (req.query.location_id != null) {
+      const locationId = Number(req.query.location_id)
+      const byId = await loadLocations(req.user.id)
+      if (!byId.has(locationId)) return res.status(400).json({ message: 'location not found' })
+      const ids = [...byId.keys()].filter((id) => locationPath(byId, id).some((p) => p.id === locationId))
+      where.location_id = { [Op.in]: ids }
+    }
+
     const rows = await Appliance.findAll({
-      where: { user_id: req.user.id },
+      where,
       order: [['id', 'DESC']]
     })
     res.json(rows)
@@ -29,6 +109,36 @@ router.get('/', auth, async (req, res, next) => {
   }
 })
 
+/**
+ * @openapi
+ * /api/appliances/trash:
+ *   get:
+ *     tags:
+ *       - Appliances
+ *     summary: List deleted appliances that can still be restored
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *         description: Default 50, max 200
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, example: 0 }
+ *         description: Default 0
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/trash', auth, async (req, res, next) => {
+  try {
+    res.json(await listTrash(Appliance, req.user.id, req.query))
+  } catch (e) {
+    next(e)
+  }
+})
+
 /**
  * @openapi
  * /api/appliances:
@@ -48,21 +158,111 @@ router.get('/', auth, async (req, res, next) => {
  *             properties:
  *               name: { type: string, example: "Boiler" }
  *               description: { type: string, example: "Bathroom boiler" }
- *               estimated_power: { type: number, example: 2.0 }
+ *               estimated_power: { type: number, example: 2.0, description: "kW while running" }
+ *               standby_power_w: { type: number, example: 1.5, description: "Watts drawn when not in use" }
+ *               duty_cycle: { type: number, example: 0.35, description: "Share of the usage time the appliance actually draws estimated_power (fridges, heaters with a thermostat)" }
+ *               power_curve:
+ *                 type: array
+ *                 description: "Draw over one use, instead of estimated_power x duty_cycle; the last step continues until the end of use"
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     hours: { type: number }
+ *                     power_kw: { type: number }
+ *                 example: [{ hours: 0.3, power_kw: 2.0 }, { hours: 1.2, power_kw: 0.2 }]
+ *               category: { type: string, enum: [heating, cooling, water_heating, lighting, kitchen, laundry, electronics, office, ev_charging, other], example: "water_heating" }
+ *               location_id: { type: integer, example: 3 }
  *     responses:
  *       201:
  *         description: Created
+ *       400:
+ *         description: Validation error
  */
 router.post('/', auth, async (req, res, next) => {
   try {
-    const { name, description, estimated_power } = req.body || {}
+    const { name, description, estimated_power, category, location_id } = req.body || {}
     if (!name) return res.status(400).json({ message: 'name is required' })
 
+    const categoryInput = parseCategory(category)
+    if (categoryInput.error) return res.status(400).json({ message: categoryInput.error })
+    const locationInput = await parseLocationId(req.user.id, location_id)
+    if (locationInput.error) return res.status(400).json({ message: locationInput.error })
+    const power = parsePowerModel(req.body || {})
+    if (power.error) return res.status(400).json({ message: power.error })
+    if (power.dutyCycle != null && power.powerCurve != null) {
+      return res.status(400).json({ message: 'Provide either duty_cycle or power_curve, not both' })
+    }
+
     const created = await Appliance.create({
       user_id: req.user.id,
       name,
       description: description || null,
-      estimated_power: estimated_power ?? null
+      estimated_power: estimated_power ?? null,
+      standby_power_w: power.standbyPowerW ?? null,
+      duty_cycle: power.dutyCycle ?? null,
+      power_curve: power.powerCurve ?? null,
+      category: categoryInput.category ?? null,
+      location_id: locationInput.locationId ?? null
+    })
+
+    res.status(201).json(created)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/appliances/from-catalog:
+ *   post:
+ *     tags:
+ *       - Appliances
+ *     summary: Create appliance from a catalog entry
+ *     description: >
+ *       Name, description, category and estimated_power are taken from the catalog entry unless they
+ *       are given in the body. standby_power_w is copied from the entry.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [catalog_item_id]
+ *             properties:
+ *               catalog_item_id: { type: integer, example: 1 }
+ *               name: { type: string, example: "Bathroom boiler" }
+ *               description: { type: string }
+ *               estimated_power: { type: number, example: 1.5 }
+ *               location_id: { type: integer, example: 3 }
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Catalog entry not found
+ */
+router.post('/from-catalog', auth, async (req, res, next) => {
+  try {
+    const { catalog_item_id, name, description, estimated_power, location_id } = req.body || {}
+
+    const item = await ApplianceCatalogItem.findOne({ where: { id: Number(catalog_item_id), is_active: true } })
+    if (!item) return res.status(404).json({ message: 'catalog entry not found' })
+
+    const locationInput = await parseLocationId(req.user.id, location_id)
+    if (locationInput.error) return res.status(400).json({ message: locationInput.error })
+
+    const created = await Appliance.create({
+      user_id: req.user.id,
+      name: name || item.name,
+      description: description ?? item.description ?? null,
+      estimated_power: estimated_power ?? item.typical_power_kw,
+      standby_power_w: item.standby_power_w,
+      category: item.category,
+      location_id: locationInput.locationId ?? null,
+      catalog_item_id: item.id
     })
 
     res.status(201).json(created)
@@ -78,6 +278,9 @@ router.post('/', auth, async (req, res, next) => {
  *     tags:
  *       - Appliances
  *     summary: Update appliance
+ *     description: >
+ *       Changes to the power model apply to new usage_hours records; existing records keep their kWh.
+ *       A day's standby is recalculated with the new standby_power_w when a record of that day changes.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -95,9 +298,16 @@ router.post('/', auth, async (req, res, next) => {
  *               name: { type: string }
  *               description: { type: string }
  *               estimated_power: { type: number }
+ *               standby_power_w: { type: number, description: "set null to remove standby draw" }
+ *               duty_cycle: { type: number, description: "set null to remove duty cycle" }
+ *               power_curve: { type: array, items: { type: object }, description: "set null to remove power curve" }
+ *               category: { type: string, description: "set null to remove category" }
+ *               location_id: { type: integer, description: "set null to remove location" }
  *     responses:
  *       200:
  *         description: OK
+ *       400:
+ *         description: Validation error
  *       404:
  *         description: Not found
  */
@@ -107,13 +317,109 @@ router.patch('/:id', auth, async (req, res, next) => {
     const row = await Appliance.findOne({ where: { id, user_id: req.user.id } })
     if (!row) return res.status(404).json({ message: 'not found' })
 
-    const { name, description, estimated_power } = req.body || {}
+    const { name, description, estimated_power, category, location_id } = req.body || {}
+
+    const categoryInput = parseCategory(category)
+    if (categoryInput.error) return res.status(400).json({ message: categoryInput.error })
+    const locationInput = await parseLocationId(req.user.id, location_id)
+    if (locationInput.error) return res.status(400).json({ message: locationInput.error })
+    const power = parsePowerModel(req.body || {})
+    if (power.error) return res.status(400).json({ message: power.error })
+
+    const nextDutyCycle = power.dutyCycle === undefined ? row.duty_cycle : power.dutyCycle
+    const nextPowerCurve = power.powerCurve === undefined ? row.power_curve : power.powerCurve
+    if (nextDutyCycle != null && nextPowerCurve != null) {
+      return res.status(400).json({ message: 'Provide either duty_cycle or power_curve, not both' })
+    }
+
     await row.update({
       name: name ?? row.name,
       description: description ?? row.description,
-      estimated_power: estimated_power ?? row.estimated_power
+      estimated_power: estimated_power ?? row.estimated_power,
+      standby_power_w: power.standbyPowerW === undefined ? row.standby_power_w : power.standbyPowerW,
+      duty_cycle: nextDutyCycle,
+      power_curve: nextPowerCurve,
+      category: categoryInput.category === undefined ? row.category : categoryInput.category,
+      location_id: locationInput.locationId === undefined ? row.location_id : locationInput.locationId
+    })
+
+    res.json(row)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/appliances/{id}/archive:
+ *   post:
+ *     tags:
+ *       - Appliances
+ *     summary: Archive appliance (hidden from the list, no new records, history is kept)
+ *     description: Recurring templates of the appliance are paused.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Already archived
+ */
+router.post('/:id/archive', auth, async (req, res, next) => {
+  try {
+    const row = await Appliance.findOne({ where: { id: Number(req.params.id), user_id: req.user.id } })
+    if (!row) return res.status(404).json({ message: 'not found' })
+    if (row.archived_at) return res.status(409).json({ message: 'appliance is already archived' })
+
+    await sequelize.transaction(async (t) => {
+      await row.update({ archived_at: new Date() }, { transaction: t })
+      await RecurringTemplate.update(
+        { is_paused: true },
+        { where: { user_id: req.user.id, appliance_id: row.id }, transaction: t }
+      )
     })
+    res.json(row)
+  } catch (e) {
+    next(e)
+  }
+})
 
+/**
+ * @openapi
+ * /api/appliances/{id}/unarchive:
+ *   post:
+ *     tags:
+ *       - Appliances
+ *     summary: Unarchive appliance (its paused recurring templates stay paused)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Not archived
+ */
+router.post('/:id/unarchive', auth, async (req, res, next) => {
+  try {
+    const row = await Appliance.findOne({ where: { id: Number(req.params.id), user_id: req.user.id } })
+    if (!row) return res.status(404).json({ message: 'not found' })
+    if (!row.archived_at) return res.status(409).json({ message: 'appliance is not archived' })
+
+    await row.update({ archived_at: null })
     res.json(row)
   } catch (e) {
     next(e)
@@ -126,7 +432,12 @@ router.patch('/:id', auth, async (req, res, next) => {
  *   delete:
  *     tags:
  *       - Appliances
- *     summary: Delete appliance
+ *     summary: Move appliance to the trash
+ *     description: >
+ *       Only appliances without consumption records, intervals or recurring templates can be deleted;
+ *       archive the appliance to keep its history. With cascade=true everything that references the
+ *       appliance is deleted as well: records go to the trash, intervals with their daily roll-ups
+ *       and recurring templates are deleted for good.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -134,20 +445,86 @@ router.patch('/:id', auth, async (req, res, next) => {
  *         name: id
  *         required: true
  *         schema: { type: integer }
+ *       - in: query
+ *         name: cascade
+ *         schema: { type: boolean, default: false }
+ *         description: Confirms deleting the appliance's records, intervals and recurring templates
  *     responses:
+ *       200:
+ *         description: Deleted with cascade (counts of deleted references)
  *       204:
  *         description: Deleted
+ *       400:
+ *         description: Validation error
  *       404:
  *         description: Not found
+ *       409:
+ *         description: Appliance is referenced (or a record is in a closed billing period)
  */
 router.delete('/:id', auth, async (req, res, next) => {
   try {
+    const cascade = req.query.cascade == null ? false : parseBool(req.query.cascade)
+    if (cascade == null) return res.status(400).json({ message: 'cascade must be boolean' })
+
     const id = Number(req.params.id)
     const row = await Appliance.findOne({ where: { id, user_id: req.user.id } })
     if (!row) return res.status(404).json({ message: 'not found' })
 
-    await row.destroy()
-    res.status(204).send()
+    if (!cascade) {
+      const references = await countApplianceReferences(req.user.id, row.id)
+      if (Object.values(references).some((n) => n > 0)) {
+        return res.status(409).json({
+          message: 'Appliance is still referenced. Archive it to keep its history, or delete with cascade=true.',
+          references
+        })
+      }
+
+      await row.destroy()
+      return res.status(204).send()
+    }
+
+    const result = await sequelize.transaction(async (t) => {
+      const deleted = await deleteApplianceReferences(req.user.id, row.id, t)
+      if (deleted.error) return deleted
+
+      await row.destroy({ transaction: t })
+      return deleted
+    })
+
+    if (result.error) return res.status(result.error.status).json(result.error.body)
+    res.json(result)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/appliances/{id}/restore:
+ *   post:
+ *     tags:
+ *       - Appliances
+ *     summary: Restore an appliance from the trash
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found in the trash
+ */
+router.post('/:id/restore', auth, async (req, res, next) => {
+  try {
+    const row = await findTrashed(Appliance, Number(req.params.id), req.user.id)
+    if (!row) return res.status(404).json({ message: `not found in the trash (items are kept for ${trashRetentionDays()} days)` })
+
+    await row.restore()
+    res.json(row)
   } catch (e) {
     next(e)
   }
@@ -0,0 +1,318 @@
+import { Router } from 'express'
+import { Op } from 'sequelize'
+import { auth } from '../middleware/auth.js'
+import { BillingPeriod, BillingPeriodEvent, sequelize } from '../models/index.js'
+
+const router = Router()
+
+const STATUSES = ['closed', 'open']
+
+function isValidISODate(s) {
+  if (typeof s !== 'string') return false
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false
+
+  const [y, m, d] = s.split('-').map(Number)
+  const dt = new Date(Date.UTC(y, m - 1, d))
+
+  return (
+    dt.getUTCFullYear() === y &&
+    dt.getUTCMonth() === m - 1 &&
+    dt.getUTCDate() === d
+  )
+}
+
+function isAfter(dateA, dateB) {
+  return String(dateA) > String(dateB)
+}
+
+function todayISO() {
+  return new Date().toISOString().slice(0, 10)
+}
+
+function parseReason(value, required) {
+  if (value == null || String(value).trim() === '') {
+    return required ? { error: 'reason is required' } : { reason: null }
+  }
+  if (typeof value !== 'string') return { error: 'reason must be a string' }
+  if (value.trim().length > 500) return { error: 'reason cannot be longer than 500 characters' }
+  return { reason: value.trim() }
+}
+
+function findPeriodWithEvents(id, userId, transaction) {
+  return BillingPeriod.findOne({
+    where: { id, user_id: userId },
+    include: [{ model: BillingPeriodEvent, as: 'events' }],
+    order: [[{ model: BillingPeriodEvent, as: 'events' }, 'id', 'ASC']],
+    transaction
+  })
+}
+
+/**
+ * @openapi
+ * /api/billing-periods:
+ *   get:
+ *     tags:
+ *       - Billing periods
+ *     summary: List billing periods of current user (newest first)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [closed, open] }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ */
+router.get('/', auth, async (req, res, next) => {
+  try {
+    const where = { user_id: req.user.id }
+    if (req.query.status != null) {
+      const status = String(req.query.status)
+      if (!STATUSES.includes(status)) return res.status(400).json({ message: 'status must be closed or open' })
+      where.status = status
+    }
+
+    const rows = await BillingPeriod.findAll({ where, order: [['date_from', 'DESC'], ['id', 'DESC']] })
+    res.json(rows)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/billing-periods/{id}:
+ *   get:
+ *     tags:
+ *       - Billing periods
+ *     summary: Get a billing period with its close / reopen history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found
+ */
+router.get('/:id', auth, async (req, res, next) => {
+  try {
+    const row = await findPeriodWithEvents(Number(req.params.id), req.user.id)
+    if (!row) return res.status(404).json({ message: 'not found' })
+    res.json(row)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/billing-periods:
+ *   post:
+ *     tags:
+ *       - Billing periods
+ *     summary: Close a billing period (its consumption records become read-only)
+ *     description: >
+ *       Records dated inside a closed period cannot be created, edited or deleted, and re-pricing
+ *       leaves them as they are. Periods of one user cannot overlap and cannot end in the future.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date_from, date_to]
+ *             properties:
+ *               date_from: { type: string, example: "2025-11-01" }
+ *               date_to: { type: string, example: "2025-11-30" }
+ *               notes: { type: string, example: "Reconciled with utility bill #123456" }
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Overlaps another billing period
+ */
+router.post('/', auth, async (req, res, next) => {
+  try {
+    const { date_from, date_to, notes } = req.body || {}
+    const dateFrom = String(date_from || '')
+    const dateTo = String(date_to || '')
+
+    if (!isValidISODate(dateFrom) || !isValidISODate(dateTo)) {
+      return res.status(400).json({ message: 'date_from and date_to are required (YYYY-MM-DD)' })
+    }
+    if (isAfter(dateFrom, dateTo)) {
+      return res.status(400).json({ message: 'date_from cannot be after date_to' })
+    }
+    if (isAfter(dateTo, todayISO())) {
+      return res.status(400).json({ message: 'date_to cannot be in the future' })
+    }
+    if (notes != null && (typeof notes !== 'string' || notes.length > 500)) {
+      return res.status(400).json({ message: 'notes must be a string up to 500 characters' })
+    }
+
+    const result = await sequelize.transaction(async (t) => {
+      const overlapping = await BillingPeriod.findOne({
+        where: {
+          user_id: req.user.id,
+          date_from: { [Op.lte]: dateTo },
+          date_to: { [Op.gte]: dateFrom }
+        },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      })
+      if (overlapping) {
+        return {
+          error: {
+            status: 409,
+            body: {
+              message: `Overlaps billing period ${overlapping.date_from}..${overlapping.date_to}`,
+              billing_period_id: overlapping.id
+            }
+          }
+        }
+      }
+
+      const period = await BillingPeriod.create({
+        user_id: req.user.id,
+        date_from: dateFrom,
+        date_to: dateTo,
+        status: 'closed',
+        notes: notes || null
+      }, { transaction: t })
+
+      await BillingPeriodEvent.create({
+        billing_period_id: period.id,
+        user_id: req.user.id,
+        action: 'close',
+        reason: notes || null
+      }, { transaction: t })
+
+      return findPeriodWithEvents(period.id, req.user.id, t)
+    })
+
+    if (result.error) return res.status(result.error.status).json(result.error.body)
+    res.status(201).json(result)
+  } catch (e) {
+    next(e)
+  }
+})
+
+async function changeStatus(req, res, next, { from, to, action, reasonRequired }) {
+  try {
+    const input = parseReason((req.body || {}).reason, reasonRequired)
+    if (input.error) return res.status(400).json({ message: input.error })
+
+    const result = await sequelize.transaction(async (t) => {
+      const period = await BillingPeriod.findOne({
+        where: { id: Number(req.params.id), user_id: req.user.id },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      })
+      if (!period) return { error: { status: 404, body: { message: 'not found' } } }
+      if (period.status !== from) {
+        return { error: { status: 409, body: { message: `Billing period is already ${period.status}` } } }
+      }
+
+      await period.update({ status: to }, { transaction: t })
+      await BillingPeriodEvent.create({
+        billing_period_id: period.id,
+        user_id: req.user.id,
+        action,
+        reason: input.reason
+      }, { transaction: t })
+
+      return findPeriodWithEvents(period.id, req.user.id, t)
+    })
+
+    if (result.error) return res.status(result.error.status).json(result.error.body)
+    res.json(result)
+  } catch (e) {
+    next(e)
+  }
+}
+
+/**
+ * @openapi
+ * /api/billing-periods/{id}/reopen:
+ *   post:
+ *     tags:
+ *       - Billing periods
+ *     summary: Reopen a closed billing period so its records can be changed again
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string, example: "Utility issued a corrected bill" }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Period is already open
+ */
+router.post('/:id/reopen', auth, (req, res, next) =>
+  changeStatus(req, res, next, { from: 'closed', to: 'open', action: 'reopen', reasonRequired: true })
+)
+
+/**
+ * @openapi
+ * /api/billing-periods/{id}/close:
+ *   post:
+ *     tags:
+ *       - Billing periods
+ *     summary: Close a reopened billing period again
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string, example: "Corrections applied" }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Period is already closed
+ */
+router.post('/:id/close', auth, (req, res, next) =>
+  changeStatus(req, res, next, { from: 'open', to: 'closed', action: 'close', reasonRequired: false })
+)
+
+export default router
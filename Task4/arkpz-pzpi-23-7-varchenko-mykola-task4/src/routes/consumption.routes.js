@@ -1,10 +1,39 @@
-import { Router } from 'express'
-import { Op } from 'sequelize'
+import express, { Router } from 'express'
+import { Op, UniqueConstraintError } from 'sequelize'
 import { auth } from '../middleware/auth.js'
-import { Appliance, Tariff, ConsumptionRecord } from '../models/index.js'
+import { Appliance, ConsumptionRecord, ConsumptionInterval, sequelize } from '../models/index.js'
+import { monthBounds, repriceTieredMonth } from '../services/repricing.js'
+import { tariffLookupError, ensureTariffVersionId } from '../services/tariffs.js'
+import {
+  RECORD_SOURCES,
+  findTariffForDirection,
+  priceForDirection,
+  computeKwh,
+  dailyStandbyKwh,
+  syncApplianceDayStandby,
+  parseZoneInput,
+  parseDirection,
+  prepareNewRecord,
+  insertPreparedRecord
+} from '../services/consumption.js'
+import { parseCsv, parseDecimal } from '../services/csv.js'
+import { assertDatesOpen } from '../services/billingPeriods.js'
+import { listTrash, findTrashed, trashRetentionDays } from '../services/trash.js'
+import { ESTIMATE_HISTORY_DAYS, findGapDays, groupGapRanges, estimateDailyProfile } from '../services/gaps.js'
 
 const router = Router()
 
+const IMPORT_MODES = ['atomic', 'best_effort']
+const IMPORT_COLUMNS = ['record_date', 'consumption_kwh', 'usage_hours', 'appliance_id', 'record_time', 'zone', 'direction', 'notes']
+const MAX_IMPORT_ROWS = 5000
+const MAX_BATCH_RECORDS = 500
+const MAX_GAP_PERIOD_DAYS = 366
+const SORT_COLUMNS = {
+  date: ['record_date', 'record_time'],
+  kwh: ['consumption_kwh'],
+  cost: ['cost']
+}
+
 function toNumber(value) {
   const n = Number(value)
   return Number.isFinite(n) ? n : NaN
@@ -28,28 +57,64 @@ function isAfter(dateA, dateB) {
   return String(dateA) > String(dateB)
 }
 
-function decimalString(value, digits) {
-  const n = toNumber(value)
-  if (!Number.isFinite(n)) return null
-  return n.toFixed(digits)
+function parseBool(v) {
+  if (v === true || v === false) return v
+  if (v === 1 || v === 0) return Boolean(v)
+  if (typeof v === 'string') {
+    if (v === 'true') return true
+    if (v === 'false') return false
+    if (v === '1') return true
+    if (v === '0') return false
+  }
+  return null
 }
 
-async function getActiveTariffStrict(userId) {
-  const rows = await Tariff.findAll({
-    where: { user_id: userId, is_active: true },
-    order: [['id', 'DESC']],
-    limit: 2
-  })
+function parseRangeQuery(query, minKey, maxKey) {
+  const hasMin = query[minKey] != null && String(query[minKey]) !== ''
+  const hasMax = query[maxKey] != null && String(query[maxKey]) !== ''
+  const min = hasMin ? toNumber(query[minKey]) : null
+  const max = hasMax ? toNumber(query[maxKey]) : null
 
-  if (rows.length === 0) {
-    return { ok: false, code: 'NO_ACTIVE' }
+  if (hasMin && !Number.isFinite(min)) return { error: `${minKey} must be a number` }
+  if (hasMax && !Number.isFinite(max)) return { error: `${maxKey} must be a number` }
+  if (hasMin && hasMax && min > max) return { error: `${minKey} cannot be greater than ${maxKey}` }
+
+  if (hasMin && hasMax) return { where: { [Op.between]: [min, max] } }
+  if (hasMin) return { where: { [Op.gte]: min } }
+  if (hasMax) return { where: { [Op.lte]: max } }
+  return {}
+}
+
+function daysInclusive(dateFrom, dateTo) {
+  const [y1, m1, d1] = dateFrom.split('-').map(Number)
+  const [y2, m2, d2] = dateTo.split('-').map(Number)
+  return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / (24 * 60 * 60 * 1000)) + 1
+}
+
+function parseGapPeriod(dateFrom, dateTo) {
+  if (!isValidISODate(dateFrom) || !isValidISODate(dateTo)) {
+    return { error: 'date_from and date_to are required (YYYY-MM-DD)' }
   }
-  if (rows.length > 1) {
-    const ids = rows.map((t) => t.id)
-    return { ok: false, code: 'MANY_ACTIVE', ids }
+  if (isAfter(dateFrom, dateTo)) return { error: 'date_from cannot be after date_to' }
+  if (daysInclusive(dateFrom, dateTo) > MAX_GAP_PERIOD_DAYS) {
+    return { error: `period cannot be longer than ${MAX_GAP_PERIOD_DAYS} days` }
   }
+  return { dateFrom, dateTo }
+}
 
-  return { ok: true, tariff: rows[0] }
+async function parseGapAppliance(userId, value) {
+  if (value == null || String(value) === '') return { appliance: null }
+  const id = Number(value)
+  if (!Number.isInteger(id) || id <= 0) return { error: { status: 400, message: 'appliance_id must be positive integer' } }
+  const appliance = await Appliance.findOne({ where: { id, user_id: userId } })
+  if (!appliance) return { error: { status: 404, message: 'appliance not found' } }
+  return { appliance }
+}
+
+function decimalString(value, digits) {
+  const n = toNumber(value)
+  if (!Number.isFinite(n)) return null
+  return n.toFixed(digits)
 }
 
 async function resolveApplianceForUser(userId, appliance_id) {
@@ -63,27 +128,33 @@ async function resolveApplianceForUser(userId, appliance_id) {
   return { keep: false, appliance: ap }
 }
 
-function computeKwh({ consumption_kwh, usage_hours, appliance }) {
-  if (consumption_kwh !== undefined && consumption_kwh !== null) {
-    const kwh = toNumber(consumption_kwh)
-    if (!Number.isFinite(kwh) || kwh <= 0) return { error: 'consumption_kwh must be a positive number' }
-    return { kwh }
+// records built from meter readings or intervals are maintained by those resources
+async function derivedRecordMessage(recordId, action) {
+  if ((await ConsumptionRecord.count({ where: { id: recordId, meter_reading_id: { [Op.ne]: null } }, paranoid: false })) > 0) {
+    return `This record is derived from a meter reading. ${action} the meter readings instead.`
+  }
+  if ((await ConsumptionInterval.count({ where: { consumption_record_id: recordId } })) > 0) {
+    return `This record is a roll-up of consumption intervals. ${action} the intervals instead.`
   }
+  return null
+}
 
-  if (usage_hours !== undefined && usage_hours !== null) {
-    const hours = toNumber(usage_hours)
-    if (!Number.isFinite(hours) || hours <= 0) return { error: 'usage_hours must be a positive number' }
-    if (!appliance) return { error: 'usage_hours requires appliance_id' }
+// empty cells mean "not given"; unparsable numbers are passed through so validation reports them
+function csvRowToInput(headers, cells) {
+  const input = {}
+  headers.forEach((h, i) => {
+    if (!IMPORT_COLUMNS.includes(h)) return
+    const raw = (cells[i] ?? '').trim()
+    if (raw === '') return
 
-    const power = toNumber(appliance.estimated_power)
-    if (!Number.isFinite(power) || power <= 0) {
-      return { error: 'appliance.estimated_power must be set (>0) to calculate kWh from usage_hours' }
+    if (h === 'consumption_kwh' || h === 'usage_hours' || h === 'appliance_id') {
+      const n = parseDecimal(raw)
+      input[h] = Number.isFinite(n) ? n : raw
+    } else {
+      input[h] = raw
     }
-
-    return { kwh: power * hours }
-  }
-
-  return { error: 'Provide consumption_kwh OR usage_hours (with appliance_id)' }
+  })
+  return input
 }
 
 /**
@@ -92,7 +163,7 @@ function computeKwh({ consumption_kwh, usage_hours, appliance }) {
  *   get:
  *     tags:
  *       - Consumption
- *     summary: List consumption records for current user (optional date filter)
+ *     summary: List consumption records for current user (paginated, with sorting and filters)
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -102,9 +173,68 @@ function computeKwh({ consumption_kwh, usage_hours, appliance }) {
  *       - in: query
  *         name: date_to
  *         schema: { type: string, example: "2025-12-31" }
+ *       - in: query
+ *         name: direction
+ *         schema: { type: string, enum: [import, export, generation] }
+ *       - in: query
+ *         name: source
+ *         schema: { type: string, example: "device,csv_import" }
+ *         description: "Comma-separated: manual, device, csv_import, meter_reading, interval, estimate, recurring"
+ *       - in: query
+ *         name: estimated
+ *         schema: { type: boolean }
+ *         description: "true = only estimated records, false = only measured records"
+ *       - in: query
+ *         name: appliance_id
+ *         schema: { type: integer, example: 1 }
+ *       - in: query
+ *         name: unassigned
+ *         schema: { type: boolean, example: true }
+ *         description: "true = only records without appliance, false = only records with appliance"
+ *       - in: query
+ *         name: kwh_min
+ *         schema: { type: number, example: 0.5 }
+ *       - in: query
+ *         name: kwh_max
+ *         schema: { type: number, example: 10 }
+ *       - in: query
+ *         name: cost_min
+ *         schema: { type: number, example: 1 }
+ *       - in: query
+ *         name: cost_max
+ *         schema: { type: number, example: 50 }
+ *       - in: query
+ *         name: q
+ *         schema: { type: string, example: "evening" }
+ *         description: "Search in notes"
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [date, kwh, cost], default: date }
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, enum: [asc, desc], default: desc }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *         description: Default 50, max 200
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, example: 0 }
+ *         description: Default 0
  *     responses:
  *       200:
  *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total: { type: integer, example: 120 }
+ *                 limit: { type: integer, example: 50 }
+ *                 offset: { type: integer, example: 0 }
+ *                 items:
+ *                   type: array
+ *                   items: { type: object }
  *       400:
  *         description: Validation error
  */
@@ -123,17 +253,83 @@ router.get('/', auth, async (req, res, next) => {
       return res.status(400).json({ message: 'date_from cannot be after date_to' })
     }
 
+    const dirInput = parseDirection(req.query.direction)
+    if (dirInput.error) return res.status(400).json({ message: dirInput.error })
+
+    const limitRaw = req.query.limit != null ? Number(req.query.limit) : 50
+    const offsetRaw = req.query.offset != null ? Number(req.query.offset) : 0
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(1, limitRaw), 200) : 50
+    const offset = Number.isFinite(offsetRaw) ? Math.max(0, offsetRaw) : 0
+
+    const sort = req.query.sort ? String(req.query.sort) : 'date'
+    if (!SORT_COLUMNS[sort]) return res.status(400).json({ message: 'sort must be date, kwh or cost' })
+    const order = req.query.order ? String(req.query.order).toLowerCase() : 'desc'
+    if (order !== 'asc' && order !== 'desc') return res.status(400).json({ message: 'order must be asc or desc' })
+
     const where = { user_id: req.user.id }
+    if (dirInput.direction) where.direction = dirInput.direction
     if (dateFrom && dateTo) where.record_date = { [Op.between]: [dateFrom, dateTo] }
     else if (dateFrom) where.record_date = { [Op.gte]: dateFrom }
     else if (dateTo) where.record_date = { [Op.lte]: dateTo }
 
-    const rows = await ConsumptionRecord.findAll({
+    if (req.query.source != null && String(req.query.source) !== '') {
+      const sources = String(req.query.source).split(',').map((s) => s.trim()).filter(Boolean)
+      const invalid = sources.find((s) => !RECORD_SOURCES.includes(s))
+      if (invalid || !sources.length) {
+        return res.status(400).json({ message: `source must be one or more of: ${RECORD_SOURCES.join(', ')}` })
+      }
+      where.source = { [Op.in]: sources }
+    }
+
+    if (req.query.estimated != null) {
+      const estimated = parseBool(req.query.estimated)
+      if (estimated == null) return res.status(400).json({ message: 'estimated must be boolean' })
+      where.is_estimated = estimated
+    }
+
+    const unassigned = req.query.unassigned != null ? parseBool(req.query.unassigned) : null
+    if (req.query.unassigned != null && unassigned == null) {
+      return res.status(400).json({ message: 'unassigned must be boolean' })
+    }
+
+    if (req.query.appliance_id != null && String(req.query.appliance_id) !== '') {
+      const applianceId = Number(req.query.appliance_id)
+      if (!Number.isInteger(applianceId) || applianceId <= 0) {
+        return res.status(400).json({ message: 'appliance_id must be positive integer' })
+      }
+      if (unassigned === true) {
+        return res.status(400).json({ message: 'appliance_id cannot be combined with unassigned=true' })
+      }
+      where.appliance_id = applianceId
+    } else if (unassigned != null) {
+      where.appliance_id = unassigned ? null : { [Op.ne]: null }
+    }
+
+    const kwhRange = parseRangeQuery(req.query, 'kwh_min', 'kwh_max')
+    if (kwhRange.error) return res.status(400).json({ message: kwhRange.error })
+    if (kwhRange.where) where.consumption_kwh = kwhRange.where
+
+    const costRange = parseRangeQuery(req.query, 'cost_min', 'cost_max')
+    if (costRange.error) return res.status(400).json({ message: costRange.error })
+    if (costRange.where) where.cost = costRange.where
+
+    const q = req.query.q != null ? String(req.query.q).trim() : ''
+    if (q) where.notes = { [Op.like]: `%${q}%` }
+
+    const direction = order.toUpperCase()
+    const result = await ConsumptionRecord.findAndCountAll({
       where,
-      order: [['record_date', 'DESC'], ['id', 'DESC']]
+      order: [...SORT_COLUMNS[sort].map((c) => [c, direction]), ['id', direction]],
+      limit,
+      offset
     })
 
-    res.json(rows)
+    res.json({
+      total: result.count,
+      limit,
+      offset,
+      items: result.rows
+    })
   } catch (e) {
     next(e)
   }
@@ -145,7 +341,15 @@ router.get('/', auth, async (req, res, next) => {
  *   post:
  *     tags:
  *       - Consumption
- *     summary: Add consumption record (cost is calculated using the active tariff)
+ *     summary: Add consumption record (cost is calculated using the tariff valid on record_date, its time-of-use zone or monthly volume tiers)
+ *     description: >
+ *       Import records (grid consumption) are priced by the consumption tariff, export records
+ *       (energy fed into the grid) by the feed-in tariff. Generation records only store the
+ *       kWh produced by the user's own installation and have no cost.
+ *       With usage_hours the kWh come from the appliance: its power curve or estimated_power x
+ *       duty_cycle over the hours of use. The appliance's standby_power_w for the rest of the day
+ *       (24 h minus the usage_hours of all its records that day) is added once per day, to the
+ *       first usage_hours record of the day.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -156,82 +360,456 @@ router.get('/', auth, async (req, res, next) => {
  *             type: object
  *             required: [record_date]
  *             properties:
- *               appliance_id: { type: integer, example: 1 }
+ *               direction: { type: string, enum: [import, export, generation], default: import }
+ *               appliance_id: { type: integer, example: 1, description: "import records only" }
  *               consumption_kwh: { type: number, example: 3.5 }
- *               usage_hours: { type: number, example: 2.0 }
+ *               usage_hours: { type: number, example: 2.0, description: "import records only" }
  *               record_date: { type: string, example: "2025-12-14" }
+ *               record_time: { type: string, example: "21:30", description: "Time of day, used to pick the tariff zone" }
+ *               zone: { type: string, example: "day", description: "Tariff zone name (alternative to record_time)" }
  *               notes: { type: string, example: "Evening usage" }
  *     responses:
  *       201:
  *         description: Created
  *       400:
- *         description: Validation error
+ *         description: Validation error or no tariff of the needed type covers record_date
  *       404:
  *         description: Appliance not found
  *       409:
- *         description: More than one active tariff
+ *         description: More than one tariff of the needed type covers record_date, or record_date is in a closed billing period
  */
 router.post('/', auth, async (req, res, next) => {
   try {
-    const { appliance_id, consumption_kwh, usage_hours, record_date, notes } = req.body || {}
+    const prepared = await prepareNewRecord(req.user.id, req.body || {})
+    if (prepared.error) return res.status(prepared.error.status).json(prepared.error.body)
 
-    const hasKwh = consumption_kwh !== undefined && consumption_kwh !== null
-    const hasHours = usage_hours !== undefined && usage_hours !== null
+    const created = await sequelize.transaction(async (t) => {
+      const newRow = await insertPreparedRecord(prepared, t)
+      await repriceTieredMonth(req.user.id, prepared.values.record_date, t)
+      return newRow.reload({ transaction: t })
+    })
 
-    if (hasKwh && hasHours) {
-    return res.status(400).json({ message: 'Provide either consumption_kwh or usage_hours, not both' })
-    }
+    res.status(201).json(created)
+  } catch (e) {
+    next(e)
+  }
+})
 
-    const date = String(record_date || '')
-    if (!isValidISODate(date)) {
-      return res.status(400).json({ message: 'record_date is required (YYYY-MM-DD)' })
+/**
+ * @openapi
+ * /api/consumption/batch:
+ *   post:
+ *     tags:
+ *       - Consumption
+ *     summary: Add a batch of consumption records with client idempotency keys
+ *     description: >
+ *       Each record is validated like POST /api/consumption and saved on its own, so one invalid
+ *       record does not block the rest. A key that was already used by this user returns the
+ *       original record with status "duplicate" instead of creating a new one, so a device can
+ *       safely resend its offline buffer.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [records]
+ *             properties:
+ *               records:
+ *                 type: array
+ *                 description: "Max 500 records"
+ *                 items:
+ *                   type: object
+ *                   required: [idempotency_key, record_date]
+ *                   properties:
+ *                     idempotency_key: { type: string, example: "esp32-a1b2c3-17-42", description: "Unique per user, max 64 chars" }
+ *                     direction: { type: string, enum: [import, export, generation], default: import }
+ *                     appliance_id: { type: integer, example: 1 }
+ *                     consumption_kwh: { type: number, example: 0.125 }
+ *                     usage_hours: { type: number }
+ *                     record_date: { type: string, example: "2025-12-14" }
+ *                     record_time: { type: string, example: "21:30" }
+ *                     zone: { type: string }
+ *                     notes: { type: string, example: "ESP32 session" }
+ *     responses:
+ *       200:
+ *         description: Per-record results (created, duplicate or error)
+ *       400:
+ *         description: Validation error
+ */
+router.post('/batch', auth, async (req, res, next) => {
+  try {
+    const { records } = req.body || {}
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({ message: 'records must be a non-empty array' })
+    }
+    if (records.length > MAX_BATCH_RECORDS) {
+      return res.status(400).json({ message: `records can contain at most ${MAX_BATCH_RECORDS} items` })
     }
 
-    const tCheck = await getActiveTariffStrict(req.user.id)
-    if (!tCheck.ok) {
-      if (tCheck.code === 'NO_ACTIVE') {
-        return res.status(400).json({
-          message: 'No active tariff. Please create a tariff and set it as active.'
-        })
+    const items = []
+    for (const input of records) {
+      const key = input && typeof input.idempotency_key === 'string' ? input.idempotency_key.trim() : ''
+      if (!key || key.length > 64) {
+        items.push({ idempotency_key: key || null, status: 'error', message: 'idempotency_key is required (max 64 chars)' })
+        continue
       }
-      return res.status(409).json({
-        message: 'More than one active tariff found. Please leave only one active tariff.',
-        active_tariff_ids: tCheck.ids
+
+      // the key stays taken while the original is in the trash
+      const existing = await ConsumptionRecord.findOne({
+        where: { user_id: req.user.id, idempotency_key: key },
+        paranoid: false
       })
+      if (existing) {
+        items.push({ idempotency_key: key, status: 'duplicate', record: existing })
+        continue
+      }
+
+      const prepared = await prepareNewRecord(req.user.id, input, 'device')
+      if (prepared.error) {
+        items.push({ idempotency_key: key, status: 'error', message: prepared.error.body.message })
+        continue
+      }
+      prepared.values.idempotency_key = key
+
+      try {
+        const created = await sequelize.transaction(async (t) => {
+          const newRow = await insertPreparedRecord(prepared, t)
+          await repriceTieredMonth(req.user.id, prepared.values.record_date, t)
+          return newRow.reload({ transaction: t })
+        })
+        items.push({ idempotency_key: key, status: 'created', record: created })
+      } catch (e) {
+        // a parallel replay of the same key won the insert
+        if (!(e instanceof UniqueConstraintError)) throw e
+        const original = await ConsumptionRecord.findOne({
+          where: { user_id: req.user.id, idempotency_key: key },
+          paranoid: false
+        })
+        items.push({ idempotency_key: key, status: 'duplicate', record: original })
+      }
     }
-    const activeTariff = tCheck.tariff
 
-    let appliance = null
-    if (appliance_id !== undefined && appliance_id !== null) {
-      appliance = await Appliance.findOne({
-        where: { id: Number(appliance_id), user_id: req.user.id }
-      })
-      if (!appliance) return res.status(404).json({ message: 'appliance not found' })
+    const count = (status) => items.filter((i) => i.status === status).length
+    res.json({
+      created: count('created'),
+      duplicates: count('duplicate'),
+      failed: count('error'),
+      items
+    })
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/consumption/import:
+ *   post:
+ *     tags:
+ *       - Consumption
+ *     summary: Bulk import consumption records from CSV
+ *     description: >
+ *       Accepts the format of the CSV exports: optional BOM and "sep=;" line, a header row,
+ *       ";" as delimiter and decimal comma. Known columns are record_date, consumption_kwh,
+ *       usage_hours, appliance_id, record_time, zone, direction and notes; other columns are ignored.
+ *       Every row is validated like POST /api/consumption. In atomic mode any invalid row rejects
+ *       the whole file; in best_effort mode valid rows are saved and invalid ones reported.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema: { type: string, enum: [atomic, best_effort], default: atomic }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "sep=;\nrecord_date;consumption_kwh;appliance_id;notes\n2025-12-01;3,5;1;Evening usage\n"
+ *     responses:
+ *       201:
+ *         description: Rows imported (best_effort may also report failed rows)
+ *       400:
+ *         description: Invalid file, or no row could be imported (atomic mode imports nothing if any row fails)
+ */
+router.post('/import', auth, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res, next) => {
+  try {
+    const mode = req.query.mode ? String(req.query.mode) : 'atomic'
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ message: 'mode must be atomic or best_effort' })
+    }
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ message: 'Send the CSV file as text/csv request body' })
     }
 
-    const kwhResult = computeKwh({ consumption_kwh, usage_hours, appliance })
-    if (kwhResult.error) return res.status(400).json({ message: kwhResult.error })
+    const { rows } = parseCsv(req.body)
+    if (rows.length < 2) return res.status(400).json({ message: 'CSV has no data rows' })
 
-    const price = toNumber(activeTariff.price_per_kwh)
-    if (!Number.isFinite(price) || price < 0) {
-      return res.status(400).json({ message: 'Active tariff price_per_kwh is invalid' })
+    const headers = rows[0].cells.map((h) => h.trim().toLowerCase())
+    if (!headers.includes('record_date')) {
+      return res.status(400).json({ message: 'CSV header must contain record_date' })
     }
 
-    const kwhStr = decimalString(kwhResult.kwh, 3)
-    const priceStr = decimalString(price, 4)
-    const costStr = decimalString(toNumber(kwhStr) * toNumber(priceStr), 4)
+    const dataRows = rows.slice(1)
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `CSV can contain at most ${MAX_IMPORT_ROWS} rows` })
+    }
 
-    const created = await ConsumptionRecord.create({
-      user_id: req.user.id,
-      appliance_id: appliance ? appliance.id : null,
-      consumption_kwh: kwhStr,
-      applied_price_per_kwh: priceStr,
-      cost: costStr,
-      record_date: date,
-      notes: notes || null
+    const valid = []
+    const errors = []
+    for (const row of dataRows) {
+      const prepared = await prepareNewRecord(req.user.id, csvRowToInput(headers, row.cells), 'csv_import')
+      if (prepared.error) {
+        errors.push({ line: row.line, status: prepared.error.status, message: prepared.error.body.message })
+      } else {
+        valid.push(prepared)
+      }
+    }
+
+    const report = {
+      mode,
+      rows_total: dataRows.length,
+      imported: 0,
+      failed: errors.length,
+      record_ids: [],
+      errors
+    }
+
+    if (mode === 'atomic' && errors.length) {
+      return res.status(400).json({ message: 'Import rejected, nothing was saved', ...report })
+    }
+    if (!valid.length) {
+      return res.status(400).json({ message: 'No rows could be imported', ...report })
+    }
+
+    // tiered months are re-priced once after all their rows are in
+    const ids = await sequelize.transaction(async (t) => {
+      const created = []
+      const months = new Map()
+      for (const prepared of valid) {
+        const row = await insertPreparedRecord(prepared, t)
+        created.push(row.id)
+        months.set(monthBounds(prepared.values.record_date).start, prepared.values.record_date)
+      }
+      for (const date of months.values()) {
+        await repriceTieredMonth(req.user.id, date, t)
+      }
+      return created
     })
 
-    res.status(201).json(created)
+    res.status(201).json({ ...report, imported: ids.length, record_ids: ids })
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/consumption/gaps:
+ *   get:
+ *     tags:
+ *       - Consumption
+ *     summary: Find days without any import record (e.g. while the device was offline)
+ *     description: >
+ *       With appliance_id a day is missing when that appliance has no record. Days that were already
+ *       filled with estimates are not gaps. The period can be at most 366 days.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date_from
+ *         required: true
+ *         schema: { type: string, example: "2025-12-01" }
+ *       - in: query
+ *         name: date_to
+ *         required: true
+ *         schema: { type: string, example: "2025-12-31" }
+ *       - in: query
+ *         name: appliance_id
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Appliance not found
+ */
+router.get('/gaps', auth, async (req, res, next) => {
+  try {
+    const period = parseGapPeriod(String(req.query.date_from || ''), String(req.query.date_to || ''))
+    if (period.error) return res.status(400).json({ message: period.error })
+
+    const ap = await parseGapAppliance(req.user.id, req.query.appliance_id)
+    if (ap.error) return res.status(ap.error.status).json({ message: ap.error.message })
+
+    const applianceId = ap.appliance ? ap.appliance.id : null
+    const missing = await findGapDays(req.user.id, period.dateFrom, period.dateTo, applianceId)
+
+    res.json({
+      period: { date_from: period.dateFrom, date_to: period.dateTo, days: daysInclusive(period.dateFrom, period.dateTo) },
+      appliance_id: applianceId,
+      missing_days: missing.length,
+      gaps: groupGapRanges(missing)
+    })
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/consumption/gaps/fill:
+ *   post:
+ *     tags:
+ *       - Consumption
+ *     summary: Fill missing days with estimated records
+ *     description: >
+ *       Every missing day gets the average daily kWh of the days with measured records, taken from
+ *       28 days before date_from up to date_to. With appliance_id only that appliance's history is used
+ *       and the records are assigned to it; without it the user's overall average is used. When the
+ *       history has no appliance records, hours_per_day with the appliance's estimated_power is used instead.
+ *       The average keeps the historical split between tariff zones. Records are priced like manual
+ *       ones and marked is_estimated with source estimate. All days are filled or none.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date_from, date_to]
+ *             properties:
+ *               date_from: { type: string, example: "2025-12-01" }
+ *               date_to: { type: string, example: "2025-12-31" }
+ *               appliance_id: { type: integer, example: 1 }
+ *               hours_per_day: { type: number, example: 3, description: "Fallback for appliances without history" }
+ *               dry_run: { type: boolean, default: false, description: "Only return the planned records" }
+ *     responses:
+ *       200:
+ *         description: Dry run result
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Validation error, no history to estimate from, or a day cannot be priced
+ *       404:
+ *         description: Appliance not found
+ *       409:
+ *         description: More than one tariff covers a day, or a day is in a closed billing period
+ */
+router.post('/gaps/fill', auth, async (req, res, next) => {
+  try {
+    const { date_from, date_to, appliance_id, hours_per_day, dry_run } = req.body || {}
+
+    const period = parseGapPeriod(String(date_from || ''), String(date_to || ''))
+    if (period.error) return res.status(400).json({ message: period.error })
+
+    const dryRun = dry_run == null ? false : parseBool(dry_run)
+    if (dryRun == null) return res.status(400).json({ message: 'dry_run must be boolean' })
+
+    const ap = await parseGapAppliance(req.user.id, appliance_id)
+    if (ap.error) return res.status(ap.error.status).json({ message: ap.error.message })
+    const appliance = ap.appliance
+
+    const missing = await findGapDays(req.user.id, period.dateFrom, period.dateTo, appliance ? appliance.id : null)
+    if (!missing.length) return res.json({ basis: null, missing_days: 0, created: 0, records: [] })
+
+    const profile = await estimateDailyProfile(req.user.id, period.dateFrom, period.dateTo, appliance ? appliance.id : null)
+    let basis = { type: appliance ? 'appliance_history' : 'user_average', history_days: profile.days }
+    let zones = profile.zones
+
+    if (!zones.length && appliance && hours_per_day != null) {
+      const hours = toNumber(hours_per_day)
+      if (!Number.isFinite(hours) || hours <= 0 || hours > 24) {
+        return res.status(400).json({ message: 'hours_per_day must be a number in (0, 24]' })
+      }
+      const kwh = computeKwh({ usage_hours: hours, appliance })
+      if (kwh.error) return res.status(400).json({ message: kwh.error })
+      // an estimated day is the appliance's only record of that day, so it carries the day's standby
+      zones = [{ zone: null, kwh: Number((kwh.kwh + dailyStandbyKwh(appliance, hours)).toFixed(3)) }]
+      basis = { type: 'estimated_power', hours_per_day: hours }
+    }
+
+    if (!zones.length) {
+      return res.status(400).json({
+        message: `No measured consumption in the ${ESTIMATE_HISTORY_DAYS} days before date_from or in the period to estimate from` +
+          (appliance ? '. Pass hours_per_day to use the appliance estimated_power' : '')
+      })
+    }
+
+    const planned = []
+    for (const date of missing) {
+      for (const z of zones) {
+        const prepared = await prepareNewRecord(req.user.id, {
+          appliance_id: appliance ? appliance.id : null,
+          consumption_kwh: z.kwh,
+          record_date: date,
+          zone: z.zone,
+          notes: 'Estimated (missing data)'
+        }, 'estimate')
+        if (prepared.error) {
+          return res.status(prepared.error.status).json({ message: `${date}: ${prepared.error.body.message}` })
+        }
+        prepared.values.is_estimated = true
+        planned.push(prepared)
+      }
+    }
+
+    if (dryRun) {
+      return res.json({ basis, missing_days: missing.length, created: 0, records: planned.map((p) => p.values) })
+    }
+
+    const records = await sequelize.transaction(async (t) => {
+      const created = []
+      const months = new Map()
+      for (const prepared of planned) {
+        created.push(await insertPreparedRecord(prepared, t))
+        months.set(monthBounds(prepared.values.record_date).start, prepared.values.record_date)
+      }
+      for (const date of months.values()) {
+        await repriceTieredMonth(req.user.id, date, t)
+      }
+      for (const row of created) await row.reload({ transaction: t })
+      return created
+    })
+
+    res.status(201).json({ basis, missing_days: missing.length, created: records.length, records })
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/consumption/trash:
+ *   get:
+ *     tags:
+ *       - Consumption
+ *     summary: List deleted consumption records that can still be restored
+ *     description: Trashed records are purged for good after the retention window (purge_at).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *         description: Default 50, max 200
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, example: 0 }
+ *         description: Default 0
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/trash', auth, async (req, res, next) => {
+  try {
+    res.json(await listTrash(ConsumptionRecord, req.user.id, req.query))
   } catch (e) {
     next(e)
   }
@@ -243,7 +821,7 @@ router.post('/', auth, async (req, res, next) => {
  *   patch:
  *     tags:
  *       - Consumption
- *     summary: Update consumption record (recalculates cost using the active tariff)
+ *     summary: Update consumption record (recalculates cost using the tariff valid on record_date; tiered months are re-priced)
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -258,20 +836,23 @@ router.post('/', auth, async (req, res, next) => {
  *           schema:
  *             type: object
  *             properties:
+ *               direction: { type: string, enum: [import, export, generation] }
  *               appliance_id: { type: integer, example: 1, description: "set null to remove appliance" }
  *               consumption_kwh: { type: number, example: 4.2 }
  *               usage_hours: { type: number, example: 1.5 }
  *               record_date: { type: string, example: "2025-12-14" }
+ *               record_time: { type: string, example: "08:15", description: "set null to remove time" }
+ *               zone: { type: string, example: "day", description: "set null to pick the zone by record_time" }
  *               notes: { type: string }
  *     responses:
  *       200:
  *         description: OK
  *       400:
- *         description: Validation error
+ *         description: Validation error or no tariff of the needed type covers record_date
  *       404:
  *         description: Not found
  *       409:
- *         description: More than one active tariff
+ *         description: More than one tariff of the needed type covers record_date, the record is derived from meter readings or intervals, or the old or new record_date is in a closed billing period
  */
 router.patch('/:id', auth, async (req, res, next) => {
   try {
@@ -279,7 +860,10 @@ router.patch('/:id', auth, async (req, res, next) => {
     const row = await ConsumptionRecord.findOne({ where: { id, user_id: req.user.id } })
     if (!row) return res.status(404).json({ message: 'not found' })
 
-    const { appliance_id, consumption_kwh, usage_hours, record_date, notes } = req.body || {}
+    const derivedMessage = await derivedRecordMessage(row.id, 'Change')
+    if (derivedMessage) return res.status(409).json({ message: derivedMessage })
+
+    const { direction: directionRaw, appliance_id, consumption_kwh, usage_hours, record_date, record_time, zone, notes } = req.body || {}
 	
     const hasKwh = consumption_kwh !== undefined && consumption_kwh !== null
     const hasHours = usage_hours !== undefined && usage_hours !== null
@@ -288,27 +872,35 @@ router.patch('/:id', auth, async (req, res, next) => {
     return res.status(400).json({ message: 'Provide either consumption_kwh or usage_hours, not both' })
     }
 
+    const dirInput = parseDirection(directionRaw)
+    if (dirInput.error) return res.status(400).json({ message: dirInput.error })
+    const nextDirection = dirInput.direction || row.direction
+
     const nextDate = record_date == null ? String(row.record_date) : String(record_date)
     if (!isValidISODate(nextDate)) {
       return res.status(400).json({ message: 'record_date must be YYYY-MM-DD' })
     }
 
-    const tCheck = await getActiveTariffStrict(req.user.id)
+    const closed = await assertDatesOpen(req.user.id, [row.record_date, nextDate])
+    if (closed.error) return res.status(closed.error.status).json(closed.error.body)
+
+    const zoneInput = parseZoneInput({ zone, record_time })
+    if (zoneInput.error) return res.status(400).json({ message: zoneInput.error })
+
+    const nextRecordTime = zoneInput.recordTime === undefined ? row.record_time : zoneInput.recordTime
+
+    const tCheck = await findTariffForDirection(req.user.id, nextDirection, nextDate)
     if (!tCheck.ok) {
-      if (tCheck.code === 'NO_ACTIVE') {
-        return res.status(400).json({
-          message: 'No active tariff. Please create a tariff and set it as active.'
-        })
-      }
-      return res.status(409).json({
-        message: 'More than one active tariff found. Please leave only one active tariff.',
-        active_tariff_ids: tCheck.ids
-      })
+      const err = tariffLookupError(tCheck, nextDate)
+      return res.status(err.status).json(err.body)
     }
-    const activeTariff = tCheck.tariff
+    const tariff = tCheck.tariff
 
     const apRes = await resolveApplianceForUser(req.user.id, appliance_id)
     if (apRes.error) return res.status(404).json({ message: apRes.error })
+    if (apRes.appliance && apRes.appliance.archived_at && apRes.appliance.id !== row.appliance_id) {
+      return res.status(400).json({ message: 'appliance is archived, unarchive it to add records' })
+    }
 
     let nextApplianceId = row.appliance_id
     let appliance = null
@@ -323,39 +915,86 @@ router.patch('/:id', auth, async (req, res, next) => {
       nextApplianceId = appliance ? appliance.id : null
     }
 
+    if (nextDirection !== 'import' && (hasHours || nextApplianceId != null)) {
+      return res.status(400).json({ message: 'appliance_id and usage_hours are only allowed for import records' })
+    }
+
     let nextKwh = toNumber(row.consumption_kwh)
+    let nextStandbyKwh = toNumber(row.standby_kwh)
+    let nextUsageHours = nextApplianceId == null ? null : row.usage_hours
+
+    // a usage_hours record is saved without standby, syncApplianceDayStandby books the day's standby again
+    if (row.usage_hours != null) {
+      nextKwh -= nextStandbyKwh
+      nextStandbyKwh = 0
+    }
 
     const kwhProvided = consumption_kwh !== undefined && consumption_kwh !== null
     if (kwhProvided) {
       const k = toNumber(consumption_kwh)
       if (!Number.isFinite(k) || k <= 0) return res.status(400).json({ message: 'consumption_kwh must be a positive number' })
       nextKwh = k
+      nextStandbyKwh = 0
+      nextUsageHours = null
     } else if (usage_hours !== undefined && usage_hours !== null) {
       const kwhResult = computeKwh({ consumption_kwh: undefined, usage_hours, appliance })
       if (kwhResult.error) return res.status(400).json({ message: kwhResult.error })
       nextKwh = kwhResult.kwh
+      nextStandbyKwh = 0
+      nextUsageHours = decimalString(kwhResult.hours, 2)
     }
 
     if (!Number.isFinite(nextKwh) || nextKwh <= 0) {
       return res.status(400).json({ message: 'consumption_kwh must be a positive number' })
     }
 
-    const price = toNumber(activeTariff.price_per_kwh)
-    if (!Number.isFinite(price) || price < 0) {
-      return res.status(400).json({ message: 'Active tariff price_per_kwh is invalid' })
+    let nextZone = zoneInput.zone
+    if (nextZone === undefined) {
+      const tariffHasZones = tariff ? (tariff.zones || []).length > 0 : false
+      nextZone = tariffHasZones && !nextRecordTime ? row.zone : null
     }
 
+    const priceResult = await priceForDirection(req.user.id, tariff, {
+      zone: nextZone,
+      recordTime: nextRecordTime
+    })
+    if (priceResult.error) return res.status(400).json({ message: priceResult.error })
+
     const kwhStr = decimalString(nextKwh, 3)
-    const priceStr = decimalString(price, 4)
+    const priceStr = decimalString(priceResult.price, 4)
     const costStr = decimalString(toNumber(kwhStr) * toNumber(priceStr), 4)
 
-    await row.update({
-      appliance_id: nextApplianceId,
-      consumption_kwh: kwhStr,
-      applied_price_per_kwh: priceStr,
-      cost: costStr,
-      record_date: nextDate,
-      notes: notes === undefined ? row.notes : (notes || null)
+    const prevDate = String(row.record_date)
+    const prevApplianceId = row.appliance_id
+
+    await sequelize.transaction(async (t) => {
+      await row.update({
+        appliance_id: nextApplianceId,
+        tariff_id: tariff ? tariff.id : null,
+        tariff_version_id: tariff ? await ensureTariffVersionId(tariff, t) : null,
+        direction: nextDirection,
+        consumption_kwh: kwhStr,
+        standby_kwh: decimalString(nextStandbyKwh, 3),
+        usage_hours: nextUsageHours,
+        applied_price_per_kwh: priceStr,
+        cost: costStr,
+        currency: priceResult.currency,
+        record_date: nextDate,
+        record_time: nextRecordTime ?? null,
+        zone: priceResult.zone,
+        notes: notes === undefined ? row.notes : (notes || null)
+      }, { transaction: t })
+
+      await syncApplianceDayStandby(req.user.id, nextApplianceId, nextDate, t)
+      if (prevApplianceId !== nextApplianceId || prevDate !== nextDate) {
+        await syncApplianceDayStandby(req.user.id, prevApplianceId, prevDate, t)
+      }
+
+      await repriceTieredMonth(req.user.id, nextDate, t)
+      if (monthBounds(prevDate).start !== monthBounds(nextDate).start) {
+        await repriceTieredMonth(req.user.id, prevDate, t)
+      }
+      await row.reload({ transaction: t })
     })
 
     res.json(row)
@@ -370,7 +1009,7 @@ router.patch('/:id', auth, async (req, res, next) => {
  *   delete:
  *     tags:
  *       - Consumption
- *     summary: Delete consumption record
+ *     summary: Move consumption record to the trash (later records of a tiered month are re-priced)
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -383,6 +1022,8 @@ router.patch('/:id', auth, async (req, res, next) => {
  *         description: Deleted
  *       404:
  *         description: Not found
+ *       409:
+ *         description: The record is derived from meter readings or intervals, or is in a closed billing period
  */
 router.delete('/:id', auth, async (req, res, next) => {
   try {
@@ -390,11 +1031,63 @@ router.delete('/:id', auth, async (req, res, next) => {
     const row = await ConsumptionRecord.findOne({ where: { id, user_id: req.user.id } })
     if (!row) return res.status(404).json({ message: 'not found' })
 
-    await row.destroy()
+    const derivedMessage = await derivedRecordMessage(row.id, 'Delete')
+    if (derivedMessage) return res.status(409).json({ message: derivedMessage })
+
+    const closed = await assertDatesOpen(req.user.id, [row.record_date])
+    if (closed.error) return res.status(closed.error.status).json(closed.error.body)
+
+    await sequelize.transaction(async (t) => {
+      await row.destroy({ transaction: t })
+      await syncApplianceDayStandby(req.user.id, row.appliance_id, String(row.record_date), t)
+      await repriceTieredMonth(req.user.id, String(row.record_date), t)
+    })
     res.status(204).send()
   } catch (e) {
     next(e)
   }
 })
 
+/**
+ * @openapi
+ * /api/consumption/{id}/restore:
+ *   post:
+ *     tags:
+ *       - Consumption
+ *     summary: Restore a consumption record from the trash (its tiered month is re-priced)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found in the trash
+ *       409:
+ *         description: The record is in a closed billing period
+ */
+router.post('/:id/restore', auth, async (req, res, next) => {
+  try {
+    const row = await findTrashed(ConsumptionRecord, Number(req.params.id), req.user.id)
+    if (!row) return res.status(404).json({ message: `not found in the trash (items are kept for ${trashRetentionDays()} days)` })
+
+    const closed = await assertDatesOpen(req.user.id, [row.record_date])
+    if (closed.error) return res.status(closed.error.status).json(closed.error.body)
+
+    await sequelize.transaction(async (t) => {
+      await row.restore({ transaction: t })
+      await syncApplianceDayStandby(req.user.id, row.appliance_id, String(row.record_date), t)
+      await repriceTieredMonth(req.user.id, String(row.record_date), t)
+      await row.reload({ transaction: t })
+    })
+    res.json(row)
+  } catch (e) {
+    next(e)
+  }
+})
+
 export default router
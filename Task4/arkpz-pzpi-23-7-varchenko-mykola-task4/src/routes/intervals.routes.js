@@ -0,0 +1,305 @@
+import { Router } from 'express'
+import { Op } from 'sequelize'
+import { auth } from '../middleware/auth.js'
+import { Appliance, ConsumptionInterval, sequelize } from '../models/index.js'
+import { parseIntervalBounds, planRollUp, applyRollUp } from '../services/intervals.js'
+import { assertDatesOpen } from '../services/billingPeriods.js'
+
+const router = Router()
+
+const DIRECTIONS = ['import', 'export', 'generation']
+const MAX_INTERVALS = 2000
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+function isValidISODate(s) {
+  if (typeof s !== 'string') return false
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false
+
+  const [y, m, d] = s.split('-').map(Number)
+  const dt = new Date(Date.UTC(y, m - 1, d))
+
+  return (
+    dt.getUTCFullYear() === y &&
+    dt.getUTCMonth() === m - 1 &&
+    dt.getUTCDate() === d
+  )
+}
+
+function isAfter(dateA, dateB) {
+  return String(dateA) > String(dateB)
+}
+
+function parseIntervalFilters(query) {
+  const dateFrom = query.date_from ? String(query.date_from) : null
+  const dateTo = query.date_to ? String(query.date_to) : null
+
+  if (dateFrom && !isValidISODate(dateFrom)) return { error: 'date_from must be YYYY-MM-DD' }
+  if (dateTo && !isValidISODate(dateTo)) return { error: 'date_to must be YYYY-MM-DD' }
+  if (dateFrom && dateTo && isAfter(dateFrom, dateTo)) return { error: 'date_from cannot be after date_to' }
+
+  const where = {}
+  if (dateFrom && dateTo) where.interval_date = { [Op.between]: [dateFrom, dateTo] }
+  else if (dateFrom) where.interval_date = { [Op.gte]: dateFrom }
+  else if (dateTo) where.interval_date = { [Op.lte]: dateTo }
+
+  if (query.appliance_id != null && String(query.appliance_id) !== '') {
+    const applianceId = Number(query.appliance_id)
+    if (!Number.isInteger(applianceId) || applianceId <= 0) return { error: 'appliance_id must be positive integer' }
+    where.appliance_id = applianceId
+  }
+
+  if (query.direction != null) {
+    const direction = String(query.direction)
+    if (!DIRECTIONS.includes(direction)) return { error: `direction must be one of: ${DIRECTIONS.join(', ')}` }
+    where.direction = direction
+  }
+
+  return { where, dateFrom, dateTo }
+}
+
+/**
+ * @openapi
+ * /api/consumption/intervals:
+ *   get:
+ *     tags:
+ *       - Consumption intervals
+ *     summary: List sub-daily consumption intervals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date_from
+ *         schema: { type: string, example: "2025-12-01" }
+ *       - in: query
+ *         name: date_to
+ *         schema: { type: string, example: "2025-12-31" }
+ *       - in: query
+ *         name: appliance_id
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: direction
+ *         schema: { type: string, enum: [import, export, generation] }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *         description: Default 50, max 200
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, example: 0 }
+ *         description: Default 0
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ */
+router.get('/', auth, async (req, res, next) => {
+  try {
+    const filters = parseIntervalFilters(req.query)
+    if (filters.error) return res.status(400).json({ message: filters.error })
+
+    const limitRaw = req.query.limit != null ? Number(req.query.limit) : 50
+    const offsetRaw = req.query.offset != null ? Number(req.query.offset) : 0
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(1, limitRaw), 200) : 50
+    const offset = Number.isFinite(offsetRaw) ? Math.max(0, offsetRaw) : 0
+
+    const result = await ConsumptionInterval.findAndCountAll({
+      where: { user_id: req.user.id, ...filters.where },
+      order: [['interval_date', 'DESC'], ['start_time', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset
+    })
+
+    res.json({ total: result.count, limit, offset, items: result.rows })
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/consumption/intervals:
+ *   post:
+ *     tags:
+ *       - Consumption intervals
+ *     summary: Add hourly / 15-minute consumption intervals (rolled up into daily consumption records)
+ *     description: >
+ *       Times are local wall-clock time. An interval may end at 00:00 of the next day but cannot cross
+ *       midnight, and intervals of the same appliance and direction cannot overlap. Intervals are summed
+ *       into one consumption record per day, appliance, direction and tariff zone (by interval start),
+ *       so all daily reports include them. All intervals are saved or none.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [intervals]
+ *             properties:
+ *               intervals:
+ *                 type: array
+ *                 description: "Max 2000 intervals"
+ *                 items:
+ *                   type: object
+ *                   required: [start, end, consumption_kwh]
+ *                   properties:
+ *                     start: { type: string, example: "2025-12-14T21:00" }
+ *                     end: { type: string, example: "2025-12-14T21:15" }
+ *                     consumption_kwh: { type: number, example: 0.042 }
+ *                     appliance_id: { type: integer, example: 1, description: "import intervals only" }
+ *                     direction: { type: string, enum: [import, export, generation], default: import }
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Validation error, an appliance is archived, or no tariff covers a date
+ *       404:
+ *         description: Appliance not found
+ *       409:
+ *         description: Intervals overlap, more than one tariff covers a date, or a date is in a closed billing period
+ */
+router.post('/', auth, async (req, res, next) => {
+  try {
+    const { intervals } = req.body || {}
+    if (!Array.isArray(intervals) || intervals.length === 0) {
+      return res.status(400).json({ message: 'intervals must be a non-empty array' })
+    }
+    if (intervals.length > MAX_INTERVALS) {
+      return res.status(400).json({ message: `intervals can contain at most ${MAX_INTERVALS} items` })
+    }
+
+    const rows = []
+    for (let i = 0; i < intervals.length; i++) {
+      const it = intervals[i] || {}
+      const fail = (message) => res.status(400).json({ message: `intervals[${i}]: ${message}` })
+
+      const bounds = parseIntervalBounds(it.start, it.end)
+      if (bounds.error) return fail(bounds.error)
+
+      const kwh = toNumber(it.consumption_kwh)
+      if (it.consumption_kwh == null || !Number.isFinite(kwh) || kwh < 0) {
+        return fail('consumption_kwh must be a non-negative number')
+      }
+
+      const direction = it.direction == null ? 'import' : String(it.direction)
+      if (!DIRECTIONS.includes(direction)) return fail(`direction must be one of: ${DIRECTIONS.join(', ')}`)
+
+      const applianceId = it.appliance_id == null ? null : Number(it.appliance_id)
+      if (applianceId != null && (!Number.isInteger(applianceId) || applianceId <= 0)) {
+        return fail('appliance_id must be positive integer')
+      }
+      if (applianceId != null && direction !== 'import') return fail('appliance_id is only allowed for import intervals')
+
+      rows.push({
+        appliance_id: applianceId,
+        direction,
+        interval_date: bounds.date,
+        start_time: bounds.startTime,
+        end_time: bounds.endTime,
+        consumption_kwh: kwh.toFixed(4)
+      })
+    }
+
+    const closed = await assertDatesOpen(req.user.id, rows.map((r) => r.interval_date))
+    if (closed.error) return res.status(closed.error.status).json(closed.error.body)
+
+    const applianceIds = [...new Set(rows.map((r) => r.appliance_id).filter((id) => id != null))]
+    if (applianceIds.length) {
+      const found = await Appliance.findAll({
+        where: { id: { [Op.in]: applianceIds }, user_id: req.user.id },
+        attributes: ['id', 'archived_at']
+      })
+      if (found.length !== applianceIds.length) return res.status(404).json({ message: 'appliance not found' })
+      const archived = found.find((a) => a.archived_at)
+      if (archived) return res.status(400).json({ message: `appliance ${archived.id} is archived, unarchive it to add intervals` })
+    }
+
+    const result = await sequelize.transaction(async (t) => {
+      const planned = await planRollUp(req.user.id, { newIntervals: rows }, t)
+      if (planned.error) return planned
+
+      await applyRollUp(req.user.id, planned.plan, t)
+      return { created: rows.length }
+    })
+
+    if (result.error) return res.status(result.error.status).json(result.error.body)
+    res.status(201).json(result)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/consumption/intervals:
+ *   delete:
+ *     tags:
+ *       - Consumption intervals
+ *     summary: Delete intervals in a date range and update the daily roll-up records
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date_from
+ *         required: true
+ *         schema: { type: string, example: "2025-12-14" }
+ *       - in: query
+ *         name: date_to
+ *         required: true
+ *         schema: { type: string, example: "2025-12-14" }
+ *       - in: query
+ *         name: appliance_id
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: direction
+ *         schema: { type: string, enum: [import, export, generation] }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: An interval is in a closed billing period
+ */
+router.delete('/', auth, async (req, res, next) => {
+  try {
+    const filters = parseIntervalFilters(req.query)
+    if (filters.error) return res.status(400).json({ message: filters.error })
+    if (!filters.dateFrom || !filters.dateTo) {
+      return res.status(400).json({ message: 'date_from and date_to are required (YYYY-MM-DD)' })
+    }
+
+    const result = await sequelize.transaction(async (t) => {
+      const doomed = await ConsumptionInterval.findAll({
+        where: { user_id: req.user.id, ...filters.where },
+        attributes: ['id', 'interval_date', 'appliance_id', 'direction'],
+        transaction: t
+      })
+      if (!doomed.length) return { deleted: 0 }
+
+      const closed = await assertDatesOpen(req.user.id, doomed.map((r) => r.interval_date), t)
+      if (closed.error) return closed
+
+      const excludeIds = doomed.map((r) => r.id)
+      const planned = await planRollUp(req.user.id, { keys: doomed, excludeIds }, t)
+      if (planned.error) return planned
+
+      await ConsumptionInterval.destroy({ where: { id: { [Op.in]: excludeIds } }, transaction: t })
+      await applyRollUp(req.user.id, planned.plan, t)
+      return { deleted: excludeIds.length }
+    })
+
+    if (result.error) return res.status(result.error.status).json(result.error.body)
+    res.json(result)
+  } catch (e) {
+    next(e)
+  }
+})
+
+export default router
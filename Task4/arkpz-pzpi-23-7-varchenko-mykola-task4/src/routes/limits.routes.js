@@ -493,6 +493,7 @@ router.get('/:id/progress', auth, async (req, res, next) => {
     const sum = await ConsumptionRecord.sum('consumption_kwh', {
       where: {
         user_id: req.user.id,
+        direction: 'import',
         record_date: { [Op.between]: [start, end] }
       }
     })
@@ -0,0 +1,246 @@
+import { Router } from 'express'
+import { auth } from '../middleware/auth.js'
+import { Appliance, Location, sequelize } from '../models/index.js'
+import { LOCATION_KINDS, MAX_LOCATION_DEPTH, loadLocations, locationPath, subtreeDepth } from '../services/locations.js'
+
+const router = Router()
+
+function parseName(value, required) {
+  if (value === undefined && !required) return { name: undefined }
+  if (typeof value !== 'string' || value.trim() === '') return { error: 'name is required' }
+  if (value.trim().length > 120) return { error: 'name cannot be longer than 120 characters' }
+  return { name: value.trim() }
+}
+
+function parseKind(value) {
+  if (value === undefined) return { kind: undefined }
+  if (!LOCATION_KINDS.includes(value)) return { error: `kind must be one of: ${LOCATION_KINDS.join(', ')}` }
+  return { kind: value }
+}
+
+function withPath(byId, loc, counts) {
+  const path = locationPath(byId, loc.id)
+  return {
+    ...loc,
+    path: path.map((p) => p.name).join(' / '),
+    depth: path.length,
+    appliances_count: counts.get(loc.id) || 0
+  }
+}
+
+async function countAppliances(userId) {
+  const rows = await Appliance.findAll({
+    where: { user_id: userId },
+    attributes: ['location_id', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['location_id'],
+    raw: true
+  })
+  return new Map(rows.filter((r) => r.location_id != null).map((r) => [Number(r.location_id), Number(r.count)]))
+}
+
+/**
+ * @openapi
+ * /api/locations:
+ *   get:
+ *     tags:
+ *       - Locations
+ *     summary: List locations of current user (houses, floors, rooms) in tree order
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/', auth, async (req, res, next) => {
+  try {
+    const [byId, counts] = await Promise.all([loadLocations(req.user.id), countAppliances(req.user.id)])
+    const rows = [...byId.values()].map((loc) => withPath(byId, loc, counts))
+    rows.sort((a, b) => a.path.localeCompare(b.path) || a.id - b.id)
+    res.json(rows)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/locations:
+ *   post:
+ *     tags:
+ *       - Locations
+ *     summary: Create location
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string, example: "Kitchen" }
+ *               kind: { type: string, enum: [house, floor, room, other], example: "room" }
+ *               parent_id: { type: integer, example: 2, description: "Omit for a top-level location" }
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Parent location not found
+ */
+router.post('/', auth, async (req, res, next) => {
+  try {
+    const { name, kind, parent_id } = req.body || {}
+
+    const nameInput = parseName(name, true)
+    if (nameInput.error) return res.status(400).json({ message: nameInput.error })
+    const kindInput = parseKind(kind)
+    if (kindInput.error) return res.status(400).json({ message: kindInput.error })
+
+    let parentId = null
+    if (parent_id != null) {
+      const byId = await loadLocations(req.user.id)
+      parentId = Number(parent_id)
+      if (!byId.has(parentId)) return res.status(404).json({ message: 'parent location not found' })
+      if (locationPath(byId, parentId).length >= MAX_LOCATION_DEPTH) {
+        return res.status(400).json({ message: `locations cannot be nested more than ${MAX_LOCATION_DEPTH} levels deep` })
+      }
+    }
+
+    const created = await Location.create({
+      user_id: req.user.id,
+      parent_id: parentId,
+      name: nameInput.name,
+      kind: kindInput.kind ?? 'room'
+    })
+
+    res.status(201).json(created)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/locations/{id}:
+ *   patch:
+ *     tags:
+ *       - Locations
+ *     summary: Rename a location or move it under another parent
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               kind: { type: string, enum: [house, floor, room, other] }
+ *               parent_id: { type: integer, description: "set null to make it top-level" }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Not found
+ */
+router.patch('/:id', auth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id)
+    const row = await Location.findOne({ where: { id, user_id: req.user.id } })
+    if (!row) return res.status(404).json({ message: 'not found' })
+
+    const { name, kind, parent_id } = req.body || {}
+    const nameInput = parseName(name, false)
+    if (nameInput.error) return res.status(400).json({ message: nameInput.error })
+    const kindInput = parseKind(kind)
+    if (kindInput.error) return res.status(400).json({ message: kindInput.error })
+
+    const patch = {}
+    if (nameInput.name !== undefined) patch.name = nameInput.name
+    if (kindInput.kind !== undefined) patch.kind = kindInput.kind
+
+    if (parent_id !== undefined) {
+      if (parent_id === null) {
+        patch.parent_id = null
+      } else {
+        const byId = await loadLocations(req.user.id)
+        const parentId = Number(parent_id)
+        if (!byId.has(parentId)) return res.status(404).json({ message: 'parent location not found' })
+
+        const parentPath = locationPath(byId, parentId)
+        if (parentPath.some((p) => p.id === id)) {
+          return res.status(400).json({ message: 'a location cannot be moved inside itself' })
+        }
+        if (parentPath.length + subtreeDepth(byId, id) > MAX_LOCATION_DEPTH) {
+          return res.status(400).json({ message: `locations cannot be nested more than ${MAX_LOCATION_DEPTH} levels deep` })
+        }
+        patch.parent_id = parentId
+      }
+    }
+
+    await row.update(patch)
+    res.json(row)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/locations/{id}:
+ *   delete:
+ *     tags:
+ *       - Locations
+ *     summary: Delete a location without child locations
+ *     description: Appliances in the location are moved to its parent (or become unassigned).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Location has child locations
+ */
+router.delete('/:id', auth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id)
+    const row = await Location.findOne({ where: { id, user_id: req.user.id } })
+    if (!row) return res.status(404).json({ message: 'not found' })
+
+    const children = await Location.count({ where: { user_id: req.user.id, parent_id: id } })
+    if (children) {
+      return res.status(409).json({ message: 'Location has child locations. Move or delete them first.' })
+    }
+
+    await sequelize.transaction(async (t) => {
+      await Appliance.update(
+        { location_id: row.parent_id ?? null },
+        { where: { user_id: req.user.id, location_id: id }, paranoid: false, transaction: t }
+      )
+      await row.destroy({ transaction: t })
+    })
+    res.status(204).send()
+  } catch (e) {
+    next(e)
+  }
+})
+
+export default router
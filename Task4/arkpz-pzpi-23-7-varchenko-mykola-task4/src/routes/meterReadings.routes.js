@@ -0,0 +1,389 @@
+import { Router } from 'express'
+import { Op } from 'sequelize'
+import { auth } from '../middleware/auth.js'
+import { ConsumptionRecord, MeterReading, sequelize } from '../models/index.js'
+import { repriceTieredMonth } from '../services/repricing.js'
+import { tariffLookupError, ensureTariffVersionId } from '../services/tariffs.js'
+import { findTariffForDirection, priceForDirection } from '../services/consumption.js'
+import { assertDatesOpen } from '../services/billingPeriods.js'
+
+const router = Router()
+
+const READING_TYPES = ['regular', 'rollover', 'replacement']
+
+// a longer gap between two readings is booked on the reading date instead of one record per day
+const MAX_SPREAD_DAYS = 366
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+function isValidISODate(s) {
+  if (typeof s !== 'string') return false
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false
+
+  const [y, m, d] = s.split('-').map(Number)
+  const dt = new Date(Date.UTC(y, m - 1, d))
+
+  return (
+    dt.getUTCFullYear() === y &&
+    dt.getUTCMonth() === m - 1 &&
+    dt.getUTCDate() === d
+  )
+}
+
+function isAfter(dateA, dateB) {
+  return String(dateA) > String(dateB)
+}
+
+// kWh consumed between two register values; like computeKwh, going backwards is an error
+function readingDelta(previous, { value, readingType, registerCapacity, previousMeterFinal }) {
+  if (!previous) {
+    if (readingType === 'rollover') return { error: 'rollover needs a previous reading of the same register' }
+    return { kwh: null }
+  }
+
+  const prev = toNumber(previous.value)
+
+  if (readingType === 'rollover') {
+    if (!Number.isFinite(registerCapacity) || registerCapacity <= prev) {
+      return { error: `register_capacity must be greater than the previous reading (${prev})` }
+    }
+    if (value >= prev) return { error: 'rollover reading must be lower than the previous reading' }
+    if (value >= registerCapacity) return { error: 'value must be lower than register_capacity' }
+    return { kwh: registerCapacity - prev + value }
+  }
+
+  if (readingType === 'replacement') {
+    if (!Number.isFinite(previousMeterFinal)) {
+      return { error: 'previous_meter_final is required for a replacement reading' }
+    }
+    if (previousMeterFinal < prev) {
+      return { error: `previous_meter_final cannot be lower than the previous reading (${prev})` }
+    }
+    return { kwh: previousMeterFinal - prev }
+  }
+
+  if (value < prev) {
+    return { error: `value cannot be lower than the previous reading (${prev}). Use reading_type rollover or replacement` }
+  }
+  return { kwh: value - prev }
+}
+
+// days the consumption between two readings is spread over: the day after the previous reading up to the new one
+function daysSince(previousDate, date) {
+  if (!isAfter(date, previousDate)) return [date]
+
+  const gapMs = Date.parse(`${date}T00:00:00Z`) - Date.parse(`${previousDate}T00:00:00Z`)
+  if (gapMs / (24 * 60 * 60 * 1000) > MAX_SPREAD_DAYS) return [date]
+
+  const days = []
+  const d = new Date(`${previousDate}T00:00:00Z`)
+  for (;;) {
+    d.setUTCDate(d.getUTCDate() + 1)
+    const iso = d.toISOString().slice(0, 10)
+    days.push(iso)
+    if (iso === date) return days
+  }
+}
+
+// even split in whole Wh so the parts add up to the delta exactly; the remainder goes to the last days
+function splitKwh(kwh, count) {
+  const total = Math.round(kwh * 1000)
+  const base = Math.floor(total / count)
+  const remainder = total - base * count
+  return Array.from({ length: count }, (_, i) => (base + (i >= count - remainder ? 1 : 0)) / 1000)
+}
+
+function parseOptionalNumber(v) {
+  if (v === undefined || v === null) return undefined
+  return toNumber(v)
+}
+
+/**
+ * @openapi
+ * /api/meter-readings:
+ *   get:
+ *     tags:
+ *       - Meter readings
+ *     summary: List meter register readings (newest first)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: register_name
+ *         schema: { type: string, example: "day" }
+ *       - in: query
+ *         name: date_from
+ *         schema: { type: string, example: "2025-01-01" }
+ *       - in: query
+ *         name: date_to
+ *         schema: { type: string, example: "2025-12-31" }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *         description: Default 50, max 200
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, example: 0 }
+ *         description: Default 0
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ */
+router.get('/', auth, async (req, res, next) => {
+  try {
+    const dateFrom = req.query.date_from ? String(req.query.date_from) : null
+    const dateTo = req.query.date_to ? String(req.query.date_to) : null
+
+    if (dateFrom && !isValidISODate(dateFrom)) {
+      return res.status(400).json({ message: 'date_from must be YYYY-MM-DD' })
+    }
+    if (dateTo && !isValidISODate(dateTo)) {
+      return res.status(400).json({ message: 'date_to must be YYYY-MM-DD' })
+    }
+    if (dateFrom && dateTo && isAfter(dateFrom, dateTo)) {
+      return res.status(400).json({ message: 'date_from cannot be after date_to' })
+    }
+
+    const limitRaw = req.query.limit != null ? Number(req.query.limit) : 50
+    const offsetRaw = req.query.offset != null ? Number(req.query.offset) : 0
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(1, limitRaw), 200) : 50
+    const offset = Number.isFinite(offsetRaw) ? Math.max(0, offsetRaw) : 0
+
+    const where = { user_id: req.user.id }
+    if (req.query.register_name !== undefined) where.register_name = String(req.query.register_name) || null
+    if (dateFrom && dateTo) where.reading_date = { [Op.between]: [dateFrom, dateTo] }
+    else if (dateFrom) where.reading_date = { [Op.gte]: dateFrom }
+    else if (dateTo) where.reading_date = { [Op.lte]: dateTo }
+
+    const result = await MeterReading.findAndCountAll({
+      where,
+      order: [['reading_date', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset
+    })
+
+    res.json({ total: result.count, limit, offset, items: result.rows })
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/meter-readings:
+ *   post:
+ *     tags:
+ *       - Meter readings
+ *     summary: Add a meter register reading (the kWh since the previous reading become daily consumption records)
+ *     description: >
+ *       Readings of one register must be entered in date order. The first reading is a baseline.
+ *       The kWh since the previous reading are spread evenly over the days after it up to reading_date,
+ *       one record per day, each priced by the tariff covering its day; every one of those days must be open.
+ *       When the previous reading is more than 366 days earlier, all of it is booked on reading_date.
+ *       A lower value is rejected unless reading_type is rollover (the register wrapped at
+ *       register_capacity) or replacement (previous_meter_final is the last value of the old meter,
+ *       value is the start value of the new one). Multi-rate meters use one register per tariff zone.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reading_date, value]
+ *             properties:
+ *               register_name: { type: string, example: "day", description: "Tariff zone of the register, omit for single-rate meters" }
+ *               reading_date: { type: string, example: "2025-12-31" }
+ *               value: { type: number, example: 10452.7 }
+ *               reading_type: { type: string, enum: [regular, rollover, replacement], default: regular }
+ *               register_capacity: { type: number, example: 100000, description: "Value at which the register wraps to 0 (rollover)" }
+ *               previous_meter_final: { type: number, example: 10460.1, description: "Last value of the removed meter (replacement)" }
+ *               notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Validation error, backwards reading or no tariff covers one of the days
+ *       409:
+ *         description: More than one tariff covers one of the days, or one of them is in a closed billing period
+ */
+router.post('/', auth, async (req, res, next) => {
+  try {
+    const { register_name, reading_date, value, reading_type, register_capacity, previous_meter_final, notes } = req.body || {}
+
+    const date = String(reading_date || '')
+    if (!isValidISODate(date)) {
+      return res.status(400).json({ message: 'reading_date is required (YYYY-MM-DD)' })
+    }
+
+    const registerValue = toNumber(value)
+    if (value == null || !Number.isFinite(registerValue) || registerValue < 0) {
+      return res.status(400).json({ message: 'value must be a non-negative number' })
+    }
+
+    const readingType = reading_type == null ? 'regular' : String(reading_type)
+    if (!READING_TYPES.includes(readingType)) {
+      return res.status(400).json({ message: `reading_type must be one of: ${READING_TYPES.join(', ')}` })
+    }
+
+    if (register_name != null && typeof register_name !== 'string') {
+      return res.status(400).json({ message: 'register_name must be a string' })
+    }
+    const registerName = register_name ? register_name.trim() : null
+
+    const registerCapacity = parseOptionalNumber(register_capacity)
+    const previousMeterFinal = parseOptionalNumber(previous_meter_final)
+
+    const result = await sequelize.transaction(async (t) => {
+      const previous = await MeterReading.findOne({
+        where: { user_id: req.user.id, register_name: registerName },
+        order: [['reading_date', 'DESC'], ['id', 'DESC']],
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      })
+
+      if (previous && isAfter(previous.reading_date, date)) {
+        return {
+          error: { status: 400, body: { message: `reading_date cannot be before the last reading of this register (${previous.reading_date})` } }
+        }
+      }
+
+      const delta = readingDelta(previous, { value: registerValue, readingType, registerCapacity, previousMeterFinal })
+      if (delta.error) return { error: { status: 400, body: { message: delta.error } } }
+
+      const kwhStr = delta.kwh == null ? null : delta.kwh.toFixed(3)
+      const days = previous ? daysSince(String(previous.reading_date), date) : [date]
+
+      const closed = await assertDatesOpen(req.user.id, days, t)
+      if (closed.error) return { error: closed.error }
+
+      // every day is priced before anything is written, so a failing day leaves no reading behind
+      const planned = []
+      const parts = kwhStr == null ? [] : splitKwh(Number(kwhStr), days.length)
+
+      for (let i = 0; i < parts.length; i++) {
+        if (parts[i] <= 0) continue
+        const day = days[i]
+
+        const tCheck = await findTariffForDirection(req.user.id, 'import', day, t)
+        if (!tCheck.ok) return { error: tariffLookupError(tCheck, day) }
+
+        const priceResult = await priceForDirection(req.user.id, tCheck.tariff, { zone: registerName, recordTime: null }, t)
+        if (priceResult.error) return { error: { status: 400, body: { message: priceResult.error } } }
+
+        planned.push({ day, kwh: parts[i], tariff: tCheck.tariff, priceResult })
+      }
+
+      const reading = await MeterReading.create({
+        user_id: req.user.id,
+        register_name: registerName,
+        reading_date: date,
+        value: registerValue.toFixed(3),
+        reading_type: readingType,
+        register_capacity: readingType === 'rollover' ? registerCapacity.toFixed(3) : null,
+        previous_meter_final: readingType === 'replacement' && previous ? previousMeterFinal.toFixed(3) : null,
+        consumption_kwh: kwhStr,
+        notes: notes || null
+      }, { transaction: t })
+
+      const records = []
+      for (const { day, kwh, tariff, priceResult } of planned) {
+        const kwhPart = kwh.toFixed(3)
+        const priceStr = Number(priceResult.price).toFixed(4)
+        records.push(await ConsumptionRecord.create({
+          user_id: req.user.id,
+          appliance_id: null,
+          tariff_id: tariff.id,
+          tariff_version_id: await ensureTariffVersionId(tariff, t),
+          meter_reading_id: reading.id,
+          direction: 'import',
+          consumption_kwh: kwhPart,
+          applied_price_per_kwh: priceStr,
+          cost: (Number(kwhPart) * Number(priceStr)).toFixed(4),
+          currency: priceResult.currency,
+          record_date: day,
+          record_time: null,
+          zone: priceResult.zone,
+          notes: 'Meter reading',
+          source: 'meter_reading'
+        }, { transaction: t }))
+      }
+
+      const months = new Set(records.map((r) => String(r.record_date).slice(0, 7)))
+      for (const month of months) await repriceTieredMonth(req.user.id, `${month}-01`, t)
+      for (const r of records) await r.reload({ transaction: t })
+
+      return { reading, consumption_records: records }
+    })
+
+    if (result.error) return res.status(result.error.status).json(result.error.body)
+    res.status(201).json(result)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/meter-readings/{id}:
+ *   delete:
+ *     tags:
+ *       - Meter readings
+ *     summary: Delete the latest reading of a register together with its derived consumption records
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Not the latest reading of its register, or one of its days is in a closed billing period
+ */
+router.delete('/:id', auth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id)
+    const row = await MeterReading.findOne({ where: { id, user_id: req.user.id } })
+    if (!row) return res.status(404).json({ message: 'not found' })
+
+    const latest = await MeterReading.findOne({
+      where: { user_id: req.user.id, register_name: row.register_name },
+      order: [['reading_date', 'DESC'], ['id', 'DESC']]
+    })
+    if (latest.id !== row.id) {
+      return res.status(409).json({ message: 'Only the latest reading of a register can be deleted' })
+    }
+
+    const records = await ConsumptionRecord.findAll({
+      where: { meter_reading_id: row.id, user_id: req.user.id },
+      attributes: ['id', 'record_date'],
+      paranoid: false
+    })
+    const closed = await assertDatesOpen(req.user.id, [row.reading_date, ...records.map((r) => r.record_date)])
+    if (closed.error) return res.status(closed.error.status).json(closed.error.body)
+
+    await sequelize.transaction(async (t) => {
+      await ConsumptionRecord.destroy({ where: { meter_reading_id: row.id, user_id: req.user.id }, force: true, transaction: t })
+      await row.destroy({ transaction: t })
+
+      const months = new Set(records.map((r) => String(r.record_date).slice(0, 7)))
+      for (const month of months) await repriceTieredMonth(req.user.id, `${month}-01`, t)
+    })
+    res.status(204).send()
+  } catch (e) {
+    next(e)
+  }
+})
+
+export default router
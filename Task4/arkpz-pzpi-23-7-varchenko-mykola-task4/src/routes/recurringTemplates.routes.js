@@ -0,0 +1,487 @@
+import { Router } from 'express'
+import { auth } from '../middleware/auth.js'
+import { Appliance, RecurringTemplate, RecurringTemplateError, RecurringTemplateSkip, sequelize } from '../models/index.js'
+import { computeKwh, parseZoneInput } from '../services/consumption.js'
+import { generateTemplateRecords, parseWeekdays, shiftDate, todayISO } from '../services/recurring.js'
+
+const router = Router()
+
+const MAX_BACKFILL_DAYS = 366
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+function isValidISODate(s) {
+  if (typeof s !== 'string') return false
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false
+
+  const [y, m, d] = s.split('-').map(Number)
+  const dt = new Date(Date.UTC(y, m - 1, d))
+
+  return (
+    dt.getUTCFullYear() === y &&
+    dt.getUTCMonth() === m - 1 &&
+    dt.getUTCDate() === d
+  )
+}
+
+function isAfter(dateA, dateB) {
+  return String(dateA) > String(dateB)
+}
+
+function parseWeekdaysInput(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: 'weekdays must be a non-empty array of ISO weekdays (1 = Monday ... 7 = Sunday)' }
+  }
+  const days = [...new Set(value.map(Number))].sort((a, b) => a - b)
+  if (days.some((d) => !Number.isInteger(d) || d < 1 || d > 7)) {
+    return { error: 'weekdays must contain integers 1..7 (1 = Monday ... 7 = Sunday)' }
+  }
+  return { weekdays: days.join(',') }
+}
+
+function toTemplateJson(tpl) {
+  const plain = tpl.get({ plain: true })
+  return {
+    ...plain,
+    weekdays: parseWeekdays(plain.weekdays),
+    skips: (plain.skips || []).map((s) => String(s.skip_date)).sort(),
+    errors: (plain.errors || [])
+      .map((e) => ({ date: String(e.error_date), message: e.message }))
+      .sort((a, b) => a.date.localeCompare(b.date))
+  }
+}
+
+const TEMPLATE_INCLUDE = [
+  { model: RecurringTemplateSkip, as: 'skips' },
+  { model: RecurringTemplateError, as: 'errors' }
+]
+
+function findTemplate(id, userId, transaction) {
+  return RecurringTemplate.findOne({
+    where: { id, user_id: userId },
+    include: TEMPLATE_INCLUDE,
+    transaction
+  })
+}
+
+// usage_hours and the appliance must give a kWh value, otherwise every generated day would fail
+async function checkUsage(userId, applianceId, usageHours) {
+  const hours = toNumber(usageHours)
+  if (!Number.isFinite(hours) || hours <= 0 || hours > 24) {
+    return { error: { status: 400, message: 'usage_hours must be a number in (0, 24]' } }
+  }
+
+  const appliance = await Appliance.findOne({ where: { id: Number(applianceId), user_id: userId } })
+  if (!appliance) return { error: { status: 404, message: 'appliance not found' } }
+  if (appliance.archived_at) return { error: { status: 400, message: 'appliance is archived' } }
+
+  const kwh = computeKwh({ usage_hours: hours, appliance })
+  if (kwh.error) return { error: { status: 400, message: kwh.error } }
+  return { hours, appliance }
+}
+
+/**
+ * @openapi
+ * /api/recurring-templates:
+ *   get:
+ *     tags:
+ *       - Recurring templates
+ *     summary: List recurring consumption templates of current user
+ *     description: errors lists the scheduled dates that could not be generated and why.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/', auth, async (req, res, next) => {
+  try {
+    const rows = await RecurringTemplate.findAll({
+      where: { user_id: req.user.id },
+      include: TEMPLATE_INCLUDE,
+      order: [['id', 'DESC']]
+    })
+    res.json(rows.map(toTemplateJson))
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/recurring-templates:
+ *   post:
+ *     tags:
+ *       - Recurring templates
+ *     summary: Create a recurring template (records are generated every scheduled day)
+ *     description: >
+ *       Every day of the weekly schedule gets a usage_hours record of the appliance, priced like a
+ *       manual record (source recurring). Days from start_date up to today are generated right away;
+ *       start_date can be at most 366 days in the past. Days in closed billing periods are passed over.
+ *       A day that fails (e.g. no tariff for that date) is listed in the template's errors and retried
+ *       on every run; the days after it are still generated.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [appliance_id, usage_hours, weekdays, start_date]
+ *             properties:
+ *               appliance_id: { type: integer, example: 1 }
+ *               usage_hours: { type: number, example: 2 }
+ *               weekdays: { type: array, items: { type: integer }, example: [1, 2, 3, 4, 5, 6, 7], description: "1 = Monday ... 7 = Sunday" }
+ *               record_time: { type: string, example: "07:00", description: "Start time, picks the tariff zone" }
+ *               zone: { type: string, example: "day" }
+ *               start_date: { type: string, example: "2025-12-01" }
+ *               end_date: { type: string, example: "2026-03-31" }
+ *               notes: { type: string, example: "Boiler, morning" }
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Appliance not found
+ */
+router.post('/', auth, async (req, res, next) => {
+  try {
+    const { appliance_id, usage_hours, weekdays, record_time, zone, start_date, end_date, notes } = req.body || {}
+
+    const usage = await checkUsage(req.user.id, appliance_id, usage_hours)
+    if (usage.error) return res.status(usage.error.status).json({ message: usage.error.message })
+
+    const days = parseWeekdaysInput(weekdays)
+    if (days.error) return res.status(400).json({ message: days.error })
+
+    const zoneInput = parseZoneInput({ zone, record_time })
+    if (zoneInput.error) return res.status(400).json({ message: zoneInput.error })
+
+    const startDate = String(start_date || '')
+    if (!isValidISODate(startDate)) return res.status(400).json({ message: 'start_date is required (YYYY-MM-DD)' })
+    if (isAfter(shiftDate(todayISO(), -MAX_BACKFILL_DAYS), startDate)) {
+      return res.status(400).json({ message: `start_date cannot be more than ${MAX_BACKFILL_DAYS} days in the past` })
+    }
+
+    const endDate = end_date == null ? null : String(end_date)
+    if (endDate && !isValidISODate(endDate)) return res.status(400).json({ message: 'end_date must be YYYY-MM-DD' })
+    if (endDate && isAfter(startDate, endDate)) return res.status(400).json({ message: 'start_date cannot be after end_date' })
+
+    const tpl = await RecurringTemplate.create({
+      user_id: req.user.id,
+      appliance_id: usage.appliance.id,
+      usage_hours: usage.hours.toFixed(2),
+      weekdays: days.weekdays,
+      record_time: zoneInput.recordTime ?? null,
+      zone: zoneInput.zone ?? null,
+      start_date: startDate,
+      end_date: endDate,
+      notes: notes || null
+    })
+
+    const generation = await generateTemplateRecords(tpl.id)
+    res.status(201).json({ template: toTemplateJson(await findTemplate(tpl.id, req.user.id)), generation })
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/recurring-templates/{id}:
+ *   patch:
+ *     tags:
+ *       - Recurring templates
+ *     summary: Update a recurring template (already generated records are not changed)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               appliance_id: { type: integer }
+ *               usage_hours: { type: number }
+ *               weekdays: { type: array, items: { type: integer } }
+ *               record_time: { type: string, description: "set null to remove time" }
+ *               zone: { type: string, description: "set null to remove zone" }
+ *               end_date: { type: string, description: "set null for no end" }
+ *               notes: { type: string }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Not found
+ */
+router.patch('/:id', auth, async (req, res, next) => {
+  try {
+    const tpl = await findTemplate(Number(req.params.id), req.user.id)
+    if (!tpl) return res.status(404).json({ message: 'not found' })
+
+    const { appliance_id, usage_hours, weekdays, record_time, zone, end_date, notes } = req.body || {}
+    const patch = {}
+
+    if (appliance_id !== undefined || usage_hours !== undefined) {
+      const usage = await checkUsage(req.user.id, appliance_id ?? tpl.appliance_id, usage_hours ?? tpl.usage_hours)
+      if (usage.error) return res.status(usage.error.status).json({ message: usage.error.message })
+      patch.appliance_id = usage.appliance.id
+      patch.usage_hours = usage.hours.toFixed(2)
+    }
+
+    if (weekdays !== undefined) {
+      const days = parseWeekdaysInput(weekdays)
+      if (days.error) return res.status(400).json({ message: days.error })
+      patch.weekdays = days.weekdays
+    }
+
+    const zoneInput = parseZoneInput({ zone, record_time })
+    if (zoneInput.error) return res.status(400).json({ message: zoneInput.error })
+    if (zoneInput.recordTime !== undefined) patch.record_time = zoneInput.recordTime
+    if (zoneInput.zone !== undefined) patch.zone = zoneInput.zone
+
+    if (end_date !== undefined) {
+      const endDate = end_date == null ? null : String(end_date)
+      if (endDate && !isValidISODate(endDate)) return res.status(400).json({ message: 'end_date must be YYYY-MM-DD' })
+      if (endDate && isAfter(tpl.start_date, endDate)) return res.status(400).json({ message: 'end_date cannot be before start_date' })
+      patch.end_date = endDate
+    }
+
+    if (notes !== undefined) patch.notes = notes || null
+
+    await tpl.update(patch)
+    res.json(toTemplateJson(await findTemplate(tpl.id, req.user.id)))
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/recurring-templates/{id}/pause:
+ *   post:
+ *     tags:
+ *       - Recurring templates
+ *     summary: Pause a template (no records are generated until it is resumed)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found
+ */
+router.post('/:id/pause', auth, async (req, res, next) => {
+  try {
+    const tpl = await findTemplate(Number(req.params.id), req.user.id)
+    if (!tpl) return res.status(404).json({ message: 'not found' })
+
+    await tpl.update({ is_paused: true })
+    res.json(toTemplateJson(tpl))
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/recurring-templates/{id}/resume:
+ *   post:
+ *     tags:
+ *       - Recurring templates
+ *     summary: Resume a paused template (the paused days are not filled in)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found
+ */
+router.post('/:id/resume', auth, async (req, res, next) => {
+  try {
+    const tpl = await findTemplate(Number(req.params.id), req.user.id)
+    if (!tpl) return res.status(404).json({ message: 'not found' })
+
+    if (tpl.is_paused) {
+      const patch = { is_paused: false }
+      const yesterday = shiftDate(todayISO(), -1)
+      const behind = tpl.generated_through ? isAfter(yesterday, tpl.generated_through) : !isAfter(tpl.start_date, yesterday)
+      if (behind) patch.generated_through = yesterday
+      await tpl.update(patch)
+    }
+
+    const generation = await generateTemplateRecords(tpl.id)
+    res.json({ template: toTemplateJson(await findTemplate(tpl.id, req.user.id)), generation })
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/recurring-templates/{id}/skips:
+ *   post:
+ *     tags:
+ *       - Recurring templates
+ *     summary: Skip dates (no record is generated on them)
+ *     description: A generated date can only be skipped if it failed; skipping it drops its error.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [dates]
+ *             properties:
+ *               dates: { type: array, items: { type: string }, example: ["2025-12-31", "2026-01-01"] }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: A date was already generated (delete its record instead)
+ */
+router.post('/:id/skips', auth, async (req, res, next) => {
+  try {
+    const tpl = await findTemplate(Number(req.params.id), req.user.id)
+    if (!tpl) return res.status(404).json({ message: 'not found' })
+
+    const { dates } = req.body || {}
+    if (!Array.isArray(dates) || dates.length === 0 || dates.length > 366) {
+      return res.status(400).json({ message: 'dates must be an array of 1..366 dates (YYYY-MM-DD)' })
+    }
+    const unique = [...new Set(dates.map(String))]
+    const invalid = unique.find((d) => !isValidISODate(d))
+    if (invalid) return res.status(400).json({ message: `${invalid} is not a valid date (YYYY-MM-DD)` })
+
+    const failed = new Set((tpl.errors || []).map((e) => String(e.error_date)))
+    const generated = tpl.generated_through
+      ? unique.find((d) => !isAfter(d, tpl.generated_through) && !failed.has(d))
+      : null
+    if (generated) {
+      return res.status(409).json({ message: `${generated} was already generated. Delete its consumption record instead.` })
+    }
+
+    const existing = new Set((tpl.skips || []).map((s) => String(s.skip_date)))
+    const fresh = unique.filter((d) => !existing.has(d))
+    await sequelize.transaction(async (t) => {
+      if (fresh.length) {
+        await RecurringTemplateSkip.bulkCreate(fresh.map((d) => ({ template_id: tpl.id, skip_date: d })), { transaction: t })
+      }
+      await RecurringTemplateError.destroy({ where: { template_id: tpl.id, error_date: unique }, transaction: t })
+    })
+
+    res.json(toTemplateJson(await findTemplate(tpl.id, req.user.id)))
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/recurring-templates/{id}/skips/{date}:
+ *   delete:
+ *     tags:
+ *       - Recurring templates
+ *     summary: Remove a skipped date
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema: { type: string, example: "2025-12-31" }
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Not found
+ */
+router.delete('/:id/skips/:date', auth, async (req, res, next) => {
+  try {
+    const tpl = await findTemplate(Number(req.params.id), req.user.id)
+    if (!tpl) return res.status(404).json({ message: 'not found' })
+
+    const deleted = await RecurringTemplateSkip.destroy({ where: { template_id: tpl.id, skip_date: String(req.params.date) } })
+    if (!deleted) return res.status(404).json({ message: 'not found' })
+    res.status(204).send()
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/recurring-templates/{id}:
+ *   delete:
+ *     tags:
+ *       - Recurring templates
+ *     summary: Delete a recurring template (generated records are kept)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Not found
+ */
+router.delete('/:id', auth, async (req, res, next) => {
+  try {
+    const tpl = await findTemplate(Number(req.params.id), req.user.id)
+    if (!tpl) return res.status(404).json({ message: 'not found' })
+
+    await sequelize.transaction(async (t) => {
+      await RecurringTemplateSkip.destroy({ where: { template_id: tpl.id }, transaction: t })
+      await RecurringTemplateError.destroy({ where: { template_id: tpl.id }, transaction: t })
+      await tpl.destroy({ transaction: t })
+    })
+    res.status(204).send()
+  } catch (e) {
+    next(e)
+  }
+})
+
+export default router
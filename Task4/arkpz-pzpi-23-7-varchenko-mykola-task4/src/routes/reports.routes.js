@@ -1,7 +1,17 @@
 import { Router } from 'express'
 import { Op } from 'sequelize'
 import { auth } from '../middleware/auth.js'
-import { Appliance, ConsumptionRecord, Limit, sequelize } from '../models/index.js'
+import { User, Appliance, ConsumptionRecord, Limit, Tariff, TariffCharge, sequelize } from '../models/index.js'
+import { computeBill } from '../services/billing.js'
+import { loadRecordsForPricing } from '../services/repricing.js'
+import { parseInlineTariff, simulateTariff, compareWithBaseline } from '../services/simulation.js'
+import { TARIFF_PRICING_INCLUDE } from '../services/tariffs.js'
+import { isValidCurrency, loadRateTable, sumConverted } from '../services/currency.js'
+import { toCsv } from '../services/csv.js'
+import { RECORD_SOURCES } from '../services/consumption.js'
+import { ANOMALY_DEFAULTS, detectAnomalies, shiftDate } from '../services/anomalies.js'
+import { APPLIANCE_CATEGORIES } from '../services/appliances.js'
+import { loadLocations, rollUpByLocation } from '../services/locations.js'
 
 const router = Router()
 
@@ -65,10 +75,193 @@ function requirePeriod(req, res) {
   return { dateFrom, dateTo }
 }
 
-function buildWhere(userId, dateFrom, dateTo) {
+// consumption reports and limits count only energy taken from the grid
+function buildWhere(userId, dateFrom, dateTo, { direction = 'import', includeEstimates = true } = {}) {
   return {
     user_id: userId,
-    record_date: { [Op.between]: [dateFrom, dateTo] }
+    direction,
+    record_date: { [Op.between]: [dateFrom, dateTo] },
+    ...(includeEstimates ? {} : { is_estimated: false })
+  }
+}
+
+// returns null after sending 400
+function parseIncludeEstimates(req, res, fallback = true) {
+  const raw = req.query.include_estimates
+  if (raw == null || String(raw) === '') return fallback
+  if (raw === 'true' || raw === '1') return true
+  if (raw === 'false' || raw === '0') return false
+  res.status(400).json({ message: 'include_estimates must be boolean' })
+  return null
+}
+
+function parseCurrencyQuery(req, res) {
+  if (req.query.currency == null || String(req.query.currency).trim() === '') return null
+
+  const currency = String(req.query.currency).trim().toUpperCase()
+  if (!isValidCurrency(currency)) {
+    res.status(400).json({ message: 'currency must be a 3-letter currency code' })
+    return false
+  }
+  return currency
+}
+
+// per-day aggregates behind the daily report; byAppliance also splits each day by appliance
+function fetchDailyRows(userId, dateFrom, dateTo, { byAppliance = false, includeEstimates = true } = {}) {
+  const keys = byAppliance ? ['record_date', 'appliance_id', 'currency'] : ['record_date', 'currency']
+
+  return ConsumptionRecord.findAll({
+    where: buildWhere(userId, dateFrom, dateTo, { includeEstimates }),
+    attributes: [
+      ...keys,
+      [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'total_kwh'],
+      [sequelize.fn('SUM', sequelize.col('cost')), 'total_cost'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'records_count']
+    ],
+    group: keys,
+    order: keys.map((k) => [k, 'ASC']),
+    raw: true
+  })
+}
+
+function sumCostsBy(rows, field) {
+  return rows.map((r) => ({ currency: r.currency, amount: toNumber(r[field], 0) }))
+}
+
+// costs in different currencies are only combined when a target currency is known
+async function buildSummaryReport(userId, dateFrom, dateTo, targetCurrency, { includeEstimates = true } = {}) {
+  const where = buildWhere(userId, dateFrom, dateTo, { includeEstimates })
+  const days = daysInclusive(dateFrom, dateTo)
+
+  const currencyRows = await ConsumptionRecord.findAll({
+    where,
+    attributes: [
+      'currency',
+      [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'total_kwh'],
+      [sequelize.fn('SUM', sequelize.col('cost')), 'total_cost'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'records_count']
+    ],
+    group: ['currency'],
+    raw: true
+  })
+
+  const totalsByCurrency = currencyRows.map((r) => ({
+    currency: r.currency,
+    total_kwh: toNumber(r.total_kwh, 0),
+    total_cost: toNumber(r.total_cost, 0),
+    records_count: toNumber(r.records_count, 0)
+  }))
+
+  const totalKwh = Number(totalsByCurrency.reduce((a, r) => a + r.total_kwh, 0).toFixed(3))
+  const recordsCount = totalsByCurrency.reduce((a, r) => a + r.records_count, 0)
+
+  const maxDayRow = await ConsumptionRecord.findOne({
+    where,
+    attributes: [
+      'record_date',
+      [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'day_kwh']
+    ],
+    group: ['record_date'],
+    order: [[sequelize.literal('day_kwh'), 'DESC']],
+    raw: true
+  })
+
+  const maxDayCosts = maxDayRow
+    ? await ConsumptionRecord.findAll({
+        where: { ...where, record_date: maxDayRow.record_date },
+        attributes: ['currency', [sequelize.fn('SUM', sequelize.col('cost')), 'day_cost']],
+        group: ['currency'],
+        raw: true
+      })
+    : []
+
+  const billing = await computeBill({ userId, dateFrom, dateTo, where })
+
+  const seen = new Set([...totalsByCurrency.map((r) => r.currency), ...billing.currencies.map((c) => c.currency)])
+  let currency = targetCurrency
+  if (!currency) {
+    if (seen.size === 1) currency = [...seen][0]
+    else if (seen.size === 0) {
+      const user = await User.findByPk(userId, { attributes: ['default_currency'] })
+      currency = user.default_currency
+    }
+  }
+
+  let totalCost = null
+  let maxDayCost = null
+  let billingTotal = null
+
+  if (currency) {
+    const rateTable = await loadRateTable(userId, dateTo)
+    const converted = {
+      total: sumConverted(rateTable, sumCostsBy(totalsByCurrency, 'total_cost'), currency),
+      maxDay: sumConverted(rateTable, sumCostsBy(maxDayCosts, 'day_cost'), currency),
+      energy: sumConverted(rateTable, sumCostsBy(billing.currencies, 'energy_cost'), currency),
+      fixed: sumConverted(rateTable, sumCostsBy(billing.currencies, 'fixed_fees'), currency),
+      taxes: sumConverted(rateTable, sumCostsBy(billing.currencies, 'taxes'), currency)
+    }
+
+    const missing = [...new Set(Object.values(converted).flatMap((c) => c.missing || []))]
+    if (missing.length) {
+      return {
+        error: {
+          status: 400,
+          body: { message: `No exchange rate on or before ${dateTo} for: ${missing.join(', ')}`, missing_rates: missing }
+        }
+      }
+    }
+
+    totalCost = converted.total.total
+    maxDayCost = converted.maxDay.total
+    billingTotal = {
+      currency,
+      energy_cost: converted.energy.total,
+      fixed_fees: converted.fixed.total,
+      taxes: converted.taxes.total,
+      grand_total: Number((converted.energy.total + converted.fixed.total + converted.taxes.total).toFixed(4))
+    }
+  }
+
+  const standbyKwh = Number(
+    toNumber(await ConsumptionRecord.sum('standby_kwh', { where }), 0).toFixed(3)
+  )
+
+  const estimatedRow = await ConsumptionRecord.findOne({
+    where: { ...buildWhere(userId, dateFrom, dateTo), is_estimated: true },
+    attributes: [
+      [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'total_kwh'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'records_count']
+    ],
+    raw: true
+  })
+
+  const perDay = (v) => (v == null ? null : (days > 0 ? Number((v / days).toFixed(4)) : 0))
+  const perRecord = (v) => (v == null ? null : (recordsCount > 0 ? Number((v / recordsCount).toFixed(4)) : 0))
+
+  return {
+    period: { date_from: dateFrom, date_to: dateTo, days },
+    currency: currency || null,
+    totals: { total_kwh: totalKwh, total_cost: totalCost, records_count: recordsCount },
+    totals_by_currency: totalsByCurrency,
+    standby: {
+      total_kwh: standbyKwh,
+      share_kwh_percent: totalKwh > 0 ? Number(((standbyKwh / totalKwh) * 100).toFixed(2)) : 0
+    },
+    estimates: {
+      included: includeEstimates,
+      total_kwh: toNumber(estimatedRow?.total_kwh, 0),
+      records_count: toNumber(estimatedRow?.records_count, 0)
+    },
+    averages: {
+      kwh_per_day: perDay(totalKwh),
+      cost_per_day: perDay(totalCost),
+      kwh_per_record: perRecord(totalKwh),
+      cost_per_record: perRecord(totalCost)
+    },
+    max_day: maxDayRow
+      ? { date: String(maxDayRow.record_date), kwh: toNumber(maxDayRow.day_kwh, 0), cost: maxDayCost }
+      : null,
+    billing: { ...billing, total: billingTotal }
   }
 }
 
@@ -78,7 +271,11 @@ function buildWhere(userId, dateFrom, dateTo) {
  *   get:
  *     tags:
  *       - Reports
- *     summary: Summary report for a period (totals, averages, max-day)
+ *     summary: Summary report for a period (totals, averages, max-day, bill with fixed fees and taxes)
+ *     description: >
+ *       Costs are never summed across currencies. With mixed currencies cost totals are null
+ *       unless a target currency is given; conversion uses the user's exchange rates on date_to.
+ *       The standby block shows how much of total_kwh is appliance standby draw.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -90,6 +287,14 @@ function buildWhere(userId, dateFrom, dateTo) {
  *         name: date_to
  *         required: true
  *         schema: { type: string, example: "2025-12-31" }
+ *       - in: query
+ *         name: currency
+ *         schema: { type: string, example: "UAH" }
+ *         description: "Optional target currency for cost totals"
+ *       - in: query
+ *         name: include_estimates
+ *         schema: { type: boolean, default: true }
+ *         description: Count records estimated for missing days
  *     responses:
  *       200:
  *         description: OK
@@ -101,56 +306,173 @@ router.get('/summary', auth, async (req, res, next) => {
     const period = requirePeriod(req, res)
     if (!period) return
 
+    const currency = parseCurrencyQuery(req, res)
+    if (currency === false) return
+    const includeEstimates = parseIncludeEstimates(req, res)
+    if (includeEstimates == null) return
+
     const { dateFrom, dateTo } = period
-    const where = buildWhere(req.user.id, dateFrom, dateTo)
-    const days = daysInclusive(dateFrom, dateTo)
+    const report = await buildSummaryReport(req.user.id, dateFrom, dateTo, currency, { includeEstimates })
+    if (report.error) return res.status(report.error.status).json(report.error.body)
 
-    const totalsRow = await ConsumptionRecord.findOne({
-      where,
-      attributes: [
-        [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'total_kwh'],
-        [sequelize.fn('SUM', sequelize.col('cost')), 'total_cost'],
-        [sequelize.fn('COUNT', sequelize.col('id')), 'records_count']
-      ],
-      raw: true
-    })
+    res.json(report)
+  } catch (e) {
+    next(e)
+  }
+})
 
-    const totalKwh = toNumber(totalsRow?.total_kwh, 0)
-    const totalCost = toNumber(totalsRow?.total_cost, 0)
-    const recordsCount = toNumber(totalsRow?.records_count, 0)
+function splitPeriod(dateFrom, dateTo, groupBy) {
+  if (groupBy === 'day') {
+    const out = []
+    for (let dt = parseDateUTC(dateFrom); dt <= parseDateUTC(dateTo); dt = new Date(dt.getTime() + 24 * 60 * 60 * 1000)) {
+      const d = dt.toISOString().slice(0, 10)
+      out.push({ key: d, date_from: d, date_to: d })
+    }
+    return out
+  }
 
-    const maxDayRow = await ConsumptionRecord.findOne({
-      where,
+  const out = []
+  let cursor = dateFrom
+  while (cursor <= dateTo) {
+    const [y, m] = cursor.split('-').map(Number)
+    const monthEnd = new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10)
+    const end = monthEnd < dateTo ? monthEnd : dateTo
+    out.push({ key: cursor.slice(0, 7), date_from: cursor, date_to: end })
+    cursor = new Date(Date.UTC(y, m, 1)).toISOString().slice(0, 10)
+  }
+  return out
+}
+
+const MAX_NET_METERING_DAYS = 366
+
+// self-consumption is only known when generation is metered; exports are credited per currency
+async function buildNetMeteringPeriod(userId, bucket, dateRows) {
+  const kwh = { import: 0, export: 0, generation: 0 }
+  const credits = new Map()
+
+  for (const r of dateRows) {
+    const d = String(r.record_date)
+    if (d < bucket.date_from || d > bucket.date_to) continue
+
+    kwh[r.direction] += toNumber(r.total_kwh, 0)
+    if (r.direction === 'export') {
+      credits.set(r.currency, (credits.get(r.currency) || 0) + toNumber(r.total_cost, 0))
+    }
+  }
+
+  const billing = await computeBill({
+    userId,
+    dateFrom: bucket.date_from,
+    dateTo: bucket.date_to,
+    where: buildWhere(userId, bucket.date_from, bucket.date_to)
+  })
+
+  const currencies = new Set([...billing.currencies.map((c) => c.currency), ...credits.keys()])
+  const bill = [...currencies].sort().map((currency) => {
+    const b = billing.currencies.find((c) => c.currency === currency) ||
+      { energy_cost: 0, fixed_fees: 0, taxes: 0, grand_total: 0 }
+    const credit = Number((credits.get(currency) || 0).toFixed(4))
+    return {
+      currency,
+      import_cost: b.energy_cost,
+      fixed_fees: b.fixed_fees,
+      taxes: b.taxes,
+      export_credit: credit,
+      net_bill: Number((b.grand_total - credit).toFixed(4))
+    }
+  })
+
+  const round3 = (v) => Number(v.toFixed(3))
+  return {
+    period: bucket.key,
+    date_from: bucket.date_from,
+    date_to: bucket.date_to,
+    imported_kwh: round3(kwh.import),
+    exported_kwh: round3(kwh.export),
+    generated_kwh: round3(kwh.generation),
+    self_consumption_kwh: kwh.generation > 0 ? round3(Math.max(kwh.generation - kwh.export, 0)) : null,
+    net_kwh: round3(kwh.import - kwh.export),
+    bill
+  }
+}
+
+/**
+ * @openapi
+ * /api/reports/net-metering:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Net-metering report (imported, exported and self-consumed kWh and the net bill per period)
+ *     description: >
+ *       Imports are billed with the consumption tariff including fixed fees and taxes, exports are
+ *       credited with the feed-in tariff. Self-consumption is generation minus export and is null
+ *       when no generation records exist. Money is reported per currency. With group_by=day the
+ *       period can be at most 366 days.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date_from
+ *         required: true
+ *         schema: { type: string, example: "2025-06-01" }
+ *       - in: query
+ *         name: date_to
+ *         required: true
+ *         schema: { type: string, example: "2025-08-31" }
+ *       - in: query
+ *         name: group_by
+ *         schema: { type: string, enum: [month, day], default: month }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ */
+router.get('/net-metering', auth, async (req, res, next) => {
+  try {
+    const period = requirePeriod(req, res)
+    if (!period) return
+
+    const groupBy = req.query.group_by ? String(req.query.group_by) : 'month'
+    if (!['month', 'day'].includes(groupBy)) {
+      return res.status(400).json({ message: 'group_by must be month or day' })
+    }
+
+    const { dateFrom, dateTo } = period
+    if (groupBy === 'day' && daysInclusive(dateFrom, dateTo) > MAX_NET_METERING_DAYS) {
+      return res.status(400).json({ message: `period cannot be longer than ${MAX_NET_METERING_DAYS} days when group_by is day` })
+    }
+
+    const dateRows = await ConsumptionRecord.findAll({
+      where: { user_id: req.user.id, record_date: { [Op.between]: [dateFrom, dateTo] } },
       attributes: [
         'record_date',
-        [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'day_kwh'],
-        [sequelize.fn('SUM', sequelize.col('cost')), 'day_cost']
+        'direction',
+        'currency',
+        [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'total_kwh'],
+        [sequelize.fn('SUM', sequelize.col('cost')), 'total_cost']
       ],
-      group: ['record_date'],
-      order: [[sequelize.literal('day_kwh'), 'DESC']],
+      group: ['record_date', 'direction', 'currency'],
       raw: true
     })
 
-    const maxDay = maxDayRow
-      ? {
-          date: String(maxDayRow.record_date),
-          kwh: toNumber(maxDayRow.day_kwh, 0),
-          cost: toNumber(maxDayRow.day_cost, 0)
-        }
-      : null
-
-    const averages = {
-      kwh_per_day: days > 0 ? Number((totalKwh / days).toFixed(4)) : 0,
-      cost_per_day: days > 0 ? Number((totalCost / days).toFixed(4)) : 0,
-      kwh_per_record: recordsCount > 0 ? Number((totalKwh / recordsCount).toFixed(4)) : 0,
-      cost_per_record: recordsCount > 0 ? Number((totalCost / recordsCount).toFixed(4)) : 0
+    const periods = []
+    for (const bucket of splitPeriod(dateFrom, dateTo, groupBy)) {
+      periods.push(await buildNetMeteringPeriod(req.user.id, bucket, dateRows))
     }
 
+    const totals = await buildNetMeteringPeriod(
+      req.user.id,
+      { key: 'total', date_from: dateFrom, date_to: dateTo },
+      dateRows
+    )
+    delete totals.period
+
     res.json({
-      period: { date_from: dateFrom, date_to: dateTo, days },
-      totals: { total_kwh: totalKwh, total_cost: totalCost, records_count: recordsCount },
-      averages,
-      max_day: maxDay
+      period: { date_from: dateFrom, date_to: dateTo, days: daysInclusive(dateFrom, dateTo) },
+      group_by: groupBy,
+      totals,
+      periods
     })
   } catch (e) {
     next(e)
@@ -163,7 +485,7 @@ router.get('/summary', auth, async (req, res, next) => {
  *   get:
  *     tags:
  *       - Reports
- *     summary: Daily report (kWh and cost grouped by day)
+ *     summary: Daily report (kWh and cost grouped by day and currency)
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -175,6 +497,10 @@ router.get('/summary', auth, async (req, res, next) => {
  *         name: date_to
  *         required: true
  *         schema: { type: string, example: "2025-12-31" }
+ *       - in: query
+ *         name: include_estimates
+ *         schema: { type: boolean, default: true }
+ *         description: Count records estimated for missing days
  *     responses:
  *       200:
  *         description: OK
@@ -186,25 +512,16 @@ router.get('/daily', auth, async (req, res, next) => {
     const period = requirePeriod(req, res)
     if (!period) return
 
-    const { dateFrom, dateTo } = period
-    const where = buildWhere(req.user.id, dateFrom, dateTo)
+    const includeEstimates = parseIncludeEstimates(req, res)
+    if (includeEstimates == null) return
 
-    const rows = await ConsumptionRecord.findAll({
-      where,
-      attributes: [
-        'record_date',
-        [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'total_kwh'],
-        [sequelize.fn('SUM', sequelize.col('cost')), 'total_cost'],
-        [sequelize.fn('COUNT', sequelize.col('id')), 'records_count']
-      ],
-      group: ['record_date'],
-      order: [['record_date', 'ASC']],
-      raw: true
-    })
+    const { dateFrom, dateTo } = period
+    const rows = await fetchDailyRows(req.user.id, dateFrom, dateTo, { includeEstimates })
 
     res.json(
       rows.map((r) => ({
         record_date: String(r.record_date),
+        currency: r.currency,
         total_kwh: toNumber(r.total_kwh, 0),
         total_cost: toNumber(r.total_cost, 0),
         records_count: toNumber(r.records_count, 0)
@@ -215,13 +532,215 @@ router.get('/daily', auth, async (req, res, next) => {
   }
 })
 
+/**
+ * @openapi
+ * /api/reports/anomalies:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Flag unusual days (weekday spikes, appliance jumps, zero-consumption gaps)
+ *     description: >
+ *       Built on the daily report aggregates. weekday_spike compares a day with the same weekday of the
+ *       previous baseline_weeks weeks, appliance_jump compares an appliance's day with its previous 28 days.
+ *       For both, score is a robust z-score (distance from the median in scaled median absolute deviations).
+ *       For zero_gap, score is the length of the gap in days. At least 3 days of history are needed
+ *       before a day can be flagged.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date_from
+ *         required: true
+ *         schema: { type: string, example: "2025-12-01" }
+ *       - in: query
+ *         name: date_to
+ *         required: true
+ *         schema: { type: string, example: "2025-12-31" }
+ *       - in: query
+ *         name: threshold
+ *         schema: { type: number, example: 3 }
+ *         description: Minimum score of spikes and jumps, default 3
+ *       - in: query
+ *         name: baseline_weeks
+ *         schema: { type: integer, example: 8 }
+ *         description: Weeks of weekday history, default 8, max 52
+ *       - in: query
+ *         name: min_gap_days
+ *         schema: { type: integer, example: 2 }
+ *         description: Shortest zero-consumption gap to report, default 2
+ *       - in: query
+ *         name: include_estimates
+ *         schema: { type: boolean, default: false }
+ *         description: Estimated days hide real gaps, so they are left out by default
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ */
+router.get('/anomalies', auth, async (req, res, next) => {
+  try {
+    const period = requirePeriod(req, res)
+    if (!period) return
+    const { dateFrom, dateTo } = period
+
+    const threshold = req.query.threshold != null ? Number(req.query.threshold) : ANOMALY_DEFAULTS.threshold
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      return res.status(400).json({ message: 'threshold must be a positive number' })
+    }
+    const baselineWeeks = req.query.baseline_weeks != null ? Number(req.query.baseline_weeks) : ANOMALY_DEFAULTS.baselineWeeks
+    if (!Number.isInteger(baselineWeeks) || baselineWeeks < 1 || baselineWeeks > 52) {
+      return res.status(400).json({ message: 'baseline_weeks must be an integer 1..52' })
+    }
+    const minGapDays = req.query.min_gap_days != null ? Number(req.query.min_gap_days) : ANOMALY_DEFAULTS.minGapDays
+    if (!Number.isInteger(minGapDays) || minGapDays < 1) {
+      return res.status(400).json({ message: 'min_gap_days must be a positive integer' })
+    }
+    const includeEstimates = parseIncludeEstimates(req, res, false)
+    if (includeEstimates == null) return
+
+    const historyFrom = shiftDate(dateFrom, -Math.max(baselineWeeks * 7, 28))
+    const rows = await fetchDailyRows(req.user.id, historyFrom, dateTo, { byAppliance: true, includeEstimates })
+    const anomalies = detectAnomalies(rows, dateFrom, dateTo, { threshold, baselineWeeks, minGapDays })
+
+    const ids = [...new Set(anomalies.map((a) => a.appliance_id).filter((id) => id != null))]
+    const appliances = ids.length
+      ? await Appliance.findAll({
+          where: { user_id: req.user.id, id: { [Op.in]: ids } },
+          attributes: ['id', 'name'],
+          paranoid: false,
+          raw: true
+        })
+      : []
+    const nameById = new Map(appliances.map((a) => [Number(a.id), a.name]))
+
+    res.json({
+      period: { date_from: dateFrom, date_to: dateTo },
+      params: { threshold, baseline_weeks: baselineWeeks, min_gap_days: minGapDays },
+      anomalies: anomalies.map((a) => ({
+        ...a,
+        appliance_name: a.appliance_id == null ? null : (nameById.get(a.appliance_id) || null)
+      }))
+    })
+  } catch (e) {
+    next(e)
+  }
+})
+
+const APPLIANCE_GROUPINGS = ['appliance', 'category', 'location']
+
+function parseApplianceGrouping(req, res) {
+  const groupBy = req.query.group_by == null || String(req.query.group_by) === '' ? 'appliance' : String(req.query.group_by)
+  if (!APPLIANCE_GROUPINGS.includes(groupBy)) {
+    res.status(400).json({ message: `group_by must be one of: ${APPLIANCE_GROUPINGS.join(', ')}` })
+    return null
+  }
+  return groupBy
+}
+
+function withStandbyShare(row) {
+  return {
+    ...row,
+    standby_share_percent: row.total_kwh > 0 ? Number(((row.standby_kwh / row.total_kwh) * 100).toFixed(2)) : 0
+  }
+}
+
+function groupByCategory(rows) {
+  const buckets = new Map()
+  for (const r of rows) {
+    const key = `${r.category}|${r.currency}`
+    if (!buckets.has(key)) {
+      buckets.set(key, { category: r.category, currency: r.currency, total_kwh: 0, standby_kwh: 0, total_cost: 0, records_count: 0, appliances: new Set() })
+    }
+    const b = buckets.get(key)
+    b.total_kwh += r.total_kwh
+    b.standby_kwh += r.standby_kwh
+    b.total_cost += r.total_cost
+    b.records_count += r.records_count
+    if (r.appliance_id != null) b.appliances.add(r.appliance_id)
+  }
+
+  const order = (category) => (category == null ? APPLIANCE_CATEGORIES.length : APPLIANCE_CATEGORIES.indexOf(category))
+  return [...buckets.values()]
+    .map(({ appliances, ...b }) => withStandbyShare({
+      ...b,
+      total_kwh: Number(b.total_kwh.toFixed(3)),
+      standby_kwh: Number(b.standby_kwh.toFixed(3)),
+      total_cost: Number(b.total_cost.toFixed(2)),
+      appliances_count: appliances.size
+    }))
+    .sort((a, b) => order(a.category) - order(b.category) || a.currency.localeCompare(b.currency))
+}
+
+// category and location come from the appliance as it is now, not as it was when the record was made
+async function buildByApplianceReport(userId, dateFrom, dateTo, { includeEstimates = true, groupBy = 'appliance' } = {}) {
+  const grouped = await ConsumptionRecord.findAll({
+    where: buildWhere(userId, dateFrom, dateTo, { includeEstimates }),
+    attributes: [
+      'appliance_id',
+      'currency',
+      [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'total_kwh'],
+      [sequelize.fn('SUM', sequelize.col('standby_kwh')), 'standby_kwh'],
+      [sequelize.fn('SUM', sequelize.col('cost')), 'total_cost'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'records_count']
+    ],
+    group: ['appliance_id', 'currency'],
+    order: [[sequelize.literal('total_cost'), 'DESC']],
+    raw: true
+  })
+
+  const ids = grouped
+    .map((g) => g.appliance_id)
+    .filter((id) => id !== null && id !== undefined)
+    .map((id) => Number(id))
+
+  const appliances = ids.length
+    ? await Appliance.findAll({
+        where: { user_id: userId, id: { [Op.in]: ids } },
+        attributes: ['id', 'name', 'category', 'location_id', 'archived_at'],
+        paranoid: false,
+        raw: true
+      })
+    : []
+
+  const applianceById = new Map(appliances.map((a) => [Number(a.id), a]))
+
+  const rows = grouped.map((g) => {
+    const apId = g.appliance_id == null ? null : Number(g.appliance_id)
+    const appliance = apId == null ? null : applianceById.get(apId)
+    return {
+      appliance_id: apId,
+      appliance_name: appliance ? appliance.name : null,
+      appliance_archived: appliance ? appliance.archived_at != null : false,
+      category: appliance ? appliance.category ?? null : null,
+      location_id: appliance && appliance.location_id != null ? Number(appliance.location_id) : null,
+      currency: g.currency,
+      total_kwh: toNumber(g.total_kwh, 0),
+      standby_kwh: toNumber(g.standby_kwh, 0),
+      total_cost: toNumber(g.total_cost, 0),
+      records_count: toNumber(g.records_count, 0)
+    }
+  })
+
+  if (groupBy === 'category') return groupByCategory(rows)
+  if (groupBy === 'location') return rollUpByLocation(rows, await loadLocations(userId))
+  return rows.map(withStandbyShare)
+}
+
 /**
  * @openapi
  * /api/reports/by-appliance:
  *   get:
  *     tags:
  *       - Reports
- *     summary: Distribution by appliances (kWh and cost grouped by appliance_id)
+ *     summary: Distribution by appliances (kWh and cost grouped by appliance_id and currency)
+ *     description: >
+ *       group_by=category sums the appliances of each category. group_by=location gives every
+ *       location its own totals (own_kwh, own_cost) and roll-up totals that include all locations
+ *       inside it (total_kwh, total_cost), so a house includes its floors and rooms.
+ *       Records without an appliance, category or location are reported with null. Appliance and
+ *       category rows also show standby_kwh and its share of total_kwh. Archived appliances keep
+ *       their name (appliance_archived is true).
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -233,6 +752,13 @@ router.get('/daily', auth, async (req, res, next) => {
  *         name: date_to
  *         required: true
  *         schema: { type: string, example: "2025-12-31" }
+ *       - in: query
+ *         name: group_by
+ *         schema: { type: string, enum: [appliance, category, location], default: appliance }
+ *       - in: query
+ *         name: include_estimates
+ *         schema: { type: boolean, default: true }
+ *         description: Count records estimated for missing days
  *     responses:
  *       200:
  *         description: OK
@@ -244,49 +770,201 @@ router.get('/by-appliance', auth, async (req, res, next) => {
     const period = requirePeriod(req, res)
     if (!period) return
 
+    const includeEstimates = parseIncludeEstimates(req, res)
+    if (includeEstimates == null) return
+
+    const groupBy = parseApplianceGrouping(req, res)
+    if (!groupBy) return
+
     const { dateFrom, dateTo } = period
-    const where = buildWhere(req.user.id, dateFrom, dateTo)
+    res.json(await buildByApplianceReport(req.user.id, dateFrom, dateTo, { includeEstimates, groupBy }))
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/reports/by-source:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Distribution by record source (kWh and cost grouped by source and currency)
+ *     description: >
+ *       Sources are manual (entered by hand), device (ESP32 batch upload), csv_import,
+ *       meter_reading, interval (daily roll-up of sub-daily intervals), estimate (filled-in gaps) and
+ *       recurring (generated from recurring templates).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date_from
+ *         required: true
+ *         schema: { type: string, example: "2025-12-01" }
+ *       - in: query
+ *         name: date_to
+ *         required: true
+ *         schema: { type: string, example: "2025-12-31" }
+ *       - in: query
+ *         name: include_estimates
+ *         schema: { type: boolean, default: true }
+ *         description: Count records estimated for missing days
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ */
+router.get('/by-source', auth, async (req, res, next) => {
+  try {
+    const period = requirePeriod(req, res)
+    if (!period) return
+
+    const includeEstimates = parseIncludeEstimates(req, res)
+    if (includeEstimates == null) return
+
+    const { dateFrom, dateTo } = period
+    const where = buildWhere(req.user.id, dateFrom, dateTo, { includeEstimates })
 
     const grouped = await ConsumptionRecord.findAll({
       where,
       attributes: [
-        'appliance_id',
+        'source',
+        'currency',
         [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'total_kwh'],
         [sequelize.fn('SUM', sequelize.col('cost')), 'total_cost'],
         [sequelize.fn('COUNT', sequelize.col('id')), 'records_count']
       ],
-      group: ['appliance_id'],
-      order: [[sequelize.literal('total_cost'), 'DESC']],
+      group: ['source', 'currency'],
       raw: true
     })
 
-    const ids = grouped
-      .map((g) => g.appliance_id)
-      .filter((id) => id !== null && id !== undefined)
-      .map((id) => Number(id))
+    const rows = grouped.map((g) => ({
+      source: g.source,
+      currency: g.currency,
+      total_kwh: toNumber(g.total_kwh, 0),
+      total_cost: toNumber(g.total_cost, 0),
+      records_count: toNumber(g.records_count, 0)
+    }))
+    rows.sort((a, b) =>
+      RECORD_SOURCES.indexOf(a.source) - RECORD_SOURCES.indexOf(b.source) || a.currency.localeCompare(b.currency)
+    )
 
-    const appliances = ids.length
-      ? await Appliance.findAll({
-          where: { user_id: req.user.id, id: { [Op.in]: ids } },
-          attributes: ['id', 'name'],
-          raw: true
-        })
-      : []
+    const totalKwh = rows.reduce((a, r) => a + r.total_kwh, 0)
+    res.json(
+      rows.map((r) => ({
+        ...r,
+        share_kwh_percent: totalKwh > 0 ? Number(((r.total_kwh / totalKwh) * 100).toFixed(2)) : 0
+      }))
+    )
+  } catch (e) {
+    next(e)
+  }
+})
 
-    const nameById = new Map(appliances.map((a) => [Number(a.id), a.name]))
+const MAX_SIMULATION_OPTIONS = 5
+const MAX_SIMULATION_DAYS = 366
 
-    res.json(
-      grouped.map((g) => {
-        const apId = g.appliance_id == null ? null : Number(g.appliance_id)
-        return {
-          appliance_id: apId,
-          appliance_name: apId == null ? null : (nameById.get(apId) || null),
-          total_kwh: toNumber(g.total_kwh, 0),
-          total_cost: toNumber(g.total_cost, 0),
-          records_count: toNumber(g.records_count, 0)
+/**
+ * @openapi
+ * /api/reports/simulate:
+ *   post:
+ *     tags:
+ *       - Reports
+ *     summary: Compare tariffs by re-pricing consumption history (nothing is saved)
+ *     description: >
+ *       Each option is either an id of an existing tariff or an inline tariff definition.
+ *       The first option is the baseline for differences; options in another currency are converted
+ *       with the user's exchange rates (difference is null when no rate is available).
+ *       An option that cannot price some records (unpriced_records > 0), or a baseline that cannot,
+ *       is marked comparable: false and its differences are null, since its totals miss that consumption.
+ *       Only imported energy is re-priced, so tariff ids must point to consumption tariffs (not feed-in).
+ *       The period can be at most 366 days.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date_from, date_to, tariffs]
+ *             properties:
+ *               date_from: { type: string, example: "2025-01-01" }
+ *               date_to: { type: string, example: "2025-12-31" }
+ *               tariffs:
+ *                 type: array
+ *                 description: "1..5 options: tariff id or { tariff_name, price_per_kwh, zones, tiers, charges }"
+ *                 items: {}
+ *                 example: [3, { tariff_name: "Two-zone", price_per_kwh: 4.32, zones: [{ zone_name: "day", price_per_kwh: 4.32, time_from: "07:00", time_to: "23:00" }, { zone_name: "night", price_per_kwh: 2.16, time_from: "23:00", time_to: "07:00" }] }]
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Tariff not found
+ */
+router.post('/simulate', auth, async (req, res, next) => {
+  try {
+    const { date_from, date_to, tariffs } = req.body || {}
+    const dateFrom = String(date_from || '')
+    const dateTo = String(date_to || '')
+
+    if (!isValidISODate(dateFrom) || !isValidISODate(dateTo)) {
+      return res.status(400).json({ message: 'date_from and date_to are required (YYYY-MM-DD)' })
+    }
+    if (isAfter(dateFrom, dateTo)) {
+      return res.status(400).json({ message: 'date_from cannot be after date_to' })
+    }
+    if (daysInclusive(dateFrom, dateTo) > MAX_SIMULATION_DAYS) {
+      return res.status(400).json({ message: `period cannot be longer than ${MAX_SIMULATION_DAYS} days` })
+    }
+    if (!Array.isArray(tariffs) || tariffs.length === 0 || tariffs.length > MAX_SIMULATION_OPTIONS) {
+      return res.status(400).json({ message: `tariffs must be an array of 1..${MAX_SIMULATION_OPTIONS} tariff ids or definitions` })
+    }
+
+    const user = await User.findByPk(req.user.id, { attributes: ['default_currency'] })
+
+    const options = []
+    for (let i = 0; i < tariffs.length; i++) {
+      const item = tariffs[i]
+
+      if (typeof item === 'number' || typeof item === 'string') {
+        const id = Number(item)
+        if (!Number.isInteger(id) || id <= 0) {
+          return res.status(400).json({ message: `tariffs[${i}] must be a positive tariff id` })
         }
-      })
-    )
+        const tariff = await Tariff.findOne({
+          where: { id, user_id: req.user.id },
+          include: [...TARIFF_PRICING_INCLUDE, { model: TariffCharge, as: 'charges' }]
+        })
+        if (!tariff) return res.status(404).json({ message: `tariff ${id} not found` })
+        if (tariff.tariff_type !== 'consumption') {
+          return res.status(400).json({ message: `tariffs[${i}]: tariff ${id} is a feed-in tariff, only consumption tariffs can be simulated` })
+        }
+
+        const plain = tariff.get({ plain: true })
+        plain.tiers = [...(plain.tiers || [])].sort((a, b) => Number(a.from_kwh) - Number(b.from_kwh))
+        options.push(plain)
+        continue
+      }
+
+      const parsed = parseInlineTariff(item, i, user.default_currency)
+      if (parsed.error) return res.status(400).json({ message: parsed.error })
+      options.push(parsed.tariff)
+    }
+
+    const records = await loadRecordsForPricing(req.user.id, dateFrom, dateTo)
+    const results = options.map((tariff) => simulateTariff(tariff, records, dateFrom, dateTo))
+    const rateTable = await loadRateTable(req.user.id, dateTo)
+
+    res.json({
+      period: { date_from: dateFrom, date_to: dateTo },
+      baseline: results[0].tariff_name,
+      baseline_currency: results[0].currency,
+      options: compareWithBaseline(results, rateTable)
+    })
   } catch (e) {
     next(e)
   }
@@ -405,6 +1083,8 @@ async function fetchLimitsReportData({ userId, types, statuses, ids, period }) {
     FROM limits l
     LEFT JOIN consumption_records c
       ON c.user_id = l.user_id
+     AND c.direction = 'import'
+     AND c.deleted_at IS NULL
      AND c.record_date BETWEEN l.period_start AND l.period_end
     WHERE ${whereParts.join(' AND ')}
     GROUP BY l.id
@@ -518,34 +1198,6 @@ router.get('/limits', auth, async (req, res, next) => {
 })
 
 // export
-function excelNormalize(value) {
-  if (value === null || value === undefined) return ''
-
-  let s = String(value)
-
-  if (/^-?\d+(\.\d+)?$/.test(s)) {
-    s = s.replace('.', ',')
-  }
-
-  return s
-}
-
-function csvEscape(value) {
-  const s = excelNormalize(value)
-  if (/[;"\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`
-  return s
-}
-
-function toCsv(headers, rows, delimiter = ';') {
-  const sepLine = `sep=${delimiter}\n`
-  const head = headers.map(csvEscape).join(delimiter)
-  const body = rows
-    .map((r) => headers.map((h) => csvEscape(r[h])).join(delimiter))
-    .join('\n')
-
-  return `\uFEFF${sepLine}${head}\n${body}\n`
-}
-
 function sendCsv(res, filename, csvText) {
   res.setHeader('Content-Type', 'text/csv; charset=utf-8')
   res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
@@ -570,6 +1222,14 @@ function sendCsv(res, filename, csvText) {
  *         name: date_to
  *         required: true
  *         schema: { type: string, example: "2025-12-31" }
+ *       - in: query
+ *         name: currency
+ *         schema: { type: string, example: "UAH" }
+ *         description: "Optional target currency for cost totals"
+ *       - in: query
+ *         name: include_estimates
+ *         schema: { type: boolean, default: true }
+ *         description: Count records estimated for missing days
  *     responses:
  *       200:
  *         description: CSV file
@@ -584,76 +1244,78 @@ router.get('/export/summary.csv', auth, async (req, res, next) => {
     if (!period) return
     const { dateFrom, dateTo } = period
 
-    const where = buildWhere(req.user.id, dateFrom, dateTo)
-    const days = daysInclusive(dateFrom, dateTo)
-
-    const totalsRow = await ConsumptionRecord.findOne({
-      where,
-      attributes: [
-        [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'total_kwh'],
-        [sequelize.fn('SUM', sequelize.col('cost')), 'total_cost'],
-        [sequelize.fn('COUNT', sequelize.col('id')), 'records_count']
-      ],
-      raw: true
-    })
-
-    const totalKwh = toNumber(totalsRow?.total_kwh, 0)
-    const totalCost = toNumber(totalsRow?.total_cost, 0)
-    const recordsCount = toNumber(totalsRow?.records_count, 0)
+    const currency = parseCurrencyQuery(req, res)
+    if (currency === false) return
+    const includeEstimates = parseIncludeEstimates(req, res)
+    if (includeEstimates == null) return
 
-    const maxDayRow = await ConsumptionRecord.findOne({
-      where,
-      attributes: [
-        'record_date',
-        [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'day_kwh'],
-        [sequelize.fn('SUM', sequelize.col('cost')), 'day_cost']
-      ],
-      group: ['record_date'],
-      order: [[sequelize.literal('day_kwh'), 'DESC']],
-      raw: true
-    })
-
-    const maxDayDate = maxDayRow ? String(maxDayRow.record_date) : ''
-    const maxDayKwh = maxDayRow ? toNumber(maxDayRow.day_kwh, 0) : 0
-    const maxDayCost = maxDayRow ? toNumber(maxDayRow.day_cost, 0) : 0
-
-    const kwhPerDay = days > 0 ? Number((totalKwh / days).toFixed(4)) : 0
-    const costPerDay = days > 0 ? Number((totalCost / days).toFixed(4)) : 0
-    const kwhPerRecord = recordsCount > 0 ? Number((totalKwh / recordsCount).toFixed(4)) : 0
-    const costPerRecord = recordsCount > 0 ? Number((totalCost / recordsCount).toFixed(4)) : 0
+    const report = await buildSummaryReport(req.user.id, dateFrom, dateTo, currency, { includeEstimates })
+    if (report.error) return res.status(report.error.status).json(report.error.body)
 
     const headers = [
       'date_from',
       'date_to',
       'days',
+      'currency',
       'total_kwh',
       'total_cost',
       'records_count',
+      'standby_kwh',
+      'standby_share_percent',
       'kwh_per_day',
       'cost_per_day',
       'kwh_per_record',
       'cost_per_record',
       'max_day_date',
       'max_day_kwh',
-      'max_day_cost'
+      'max_day_cost',
+      'energy_cost',
+      'fixed_fees',
+      'taxes',
+      'grand_total'
     ]
 
+    const total = report.billing.total
     const rows = [{
       date_from: dateFrom,
       date_to: dateTo,
-      days,
-      total_kwh: totalKwh,
-      total_cost: totalCost,
-      records_count: recordsCount,
-      kwh_per_day: kwhPerDay,
-      cost_per_day: costPerDay,
-      kwh_per_record: kwhPerRecord,
-      cost_per_record: costPerRecord,
-      max_day_date: maxDayDate,
-      max_day_kwh: maxDayKwh,
-      max_day_cost: maxDayCost
+      days: report.period.days,
+      currency: report.currency,
+      total_kwh: report.totals.total_kwh,
+      total_cost: report.totals.total_cost,
+      records_count: report.totals.records_count,
+      standby_kwh: report.standby.total_kwh,
+      standby_share_percent: report.standby.share_kwh_percent,
+      kwh_per_day: report.averages.kwh_per_day,
+      cost_per_day: report.averages.cost_per_day,
+      kwh_per_record: report.averages.kwh_per_record,
+      cost_per_record: report.averages.cost_per_record,
+      max_day_date: report.max_day ? report.max_day.date : '',
+      max_day_kwh: report.max_day ? report.max_day.kwh : 0,
+      max_day_cost: report.max_day ? report.max_day.cost : 0,
+      energy_cost: total ? total.energy_cost : '',
+      fixed_fees: total ? total.fixed_fees : '',
+      taxes: total ? total.taxes : '',
+      grand_total: total ? total.grand_total : ''
     }]
 
+    // with mixed currencies and no target currency each currency gets its own line
+    if (!report.currency) {
+      for (const c of report.billing.currencies) {
+        const byCurrency = report.totals_by_currency.find((r) => r.currency === c.currency)
+        rows.push({
+          currency: c.currency,
+          total_kwh: byCurrency ? byCurrency.total_kwh : 0,
+          total_cost: byCurrency ? byCurrency.total_cost : 0,
+          records_count: byCurrency ? byCurrency.records_count : 0,
+          energy_cost: c.energy_cost,
+          fixed_fees: c.fixed_fees,
+          taxes: c.taxes,
+          grand_total: c.grand_total
+        })
+      }
+    }
+
     const csv = toCsv(headers, rows, ';')
     sendCsv(res, `report_summary_${dateFrom}_to_${dateTo}.csv`, csv)
   } catch (e) {
@@ -679,6 +1341,10 @@ router.get('/export/summary.csv', auth, async (req, res, next) => {
  *         name: date_to
  *         required: true
  *         schema: { type: string, example: "2025-12-31" }
+ *       - in: query
+ *         name: include_estimates
+ *         schema: { type: boolean, default: true }
+ *         description: Count records estimated for missing days
  *     responses:
  *       200:
  *         description: CSV file
@@ -690,30 +1356,20 @@ router.get('/export/daily.csv', auth, async (req, res, next) => {
     const period = requirePeriod(req, res)
     if (!period) return
     const { dateFrom, dateTo } = period
+    const includeEstimates = parseIncludeEstimates(req, res)
+    if (includeEstimates == null) return
 
-    const where = buildWhere(req.user.id, dateFrom, dateTo)
-
-    const rows = await ConsumptionRecord.findAll({
-      where,
-      attributes: [
-        'record_date',
-        [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'total_kwh'],
-        [sequelize.fn('SUM', sequelize.col('cost')), 'total_cost'],
-        [sequelize.fn('COUNT', sequelize.col('id')), 'records_count']
-      ],
-      group: ['record_date'],
-      order: [['record_date', 'ASC']],
-      raw: true
-    })
+    const rows = await fetchDailyRows(req.user.id, dateFrom, dateTo, { includeEstimates })
 
     const normalized = rows.map((r) => ({
       record_date: String(r.record_date),
+      currency: r.currency,
       total_kwh: toNumber(r.total_kwh, 0),
       total_cost: toNumber(r.total_cost, 0),
       records_count: toNumber(r.records_count, 0)
     }))
 
-    const headers = ['record_date', 'total_kwh', 'total_cost', 'records_count']
+    const headers = ['record_date', 'currency', 'total_kwh', 'total_cost', 'records_count']
     const csv = toCsv(headers, normalized, ';')
     sendCsv(res, `report_daily_${dateFrom}_to_${dateTo}.csv`, csv)
   } catch (e) {
@@ -721,6 +1377,12 @@ router.get('/export/daily.csv', auth, async (req, res, next) => {
   }
 })
 
+const BY_APPLIANCE_CSV_HEADERS = {
+  appliance: ['appliance_id', 'appliance_name', 'category', 'location_id', 'currency', 'total_kwh', 'standby_kwh', 'standby_share_percent', 'total_cost', 'records_count'],
+  category: ['category', 'currency', 'total_kwh', 'standby_kwh', 'standby_share_percent', 'total_cost', 'records_count', 'appliances_count'],
+  location: ['location_id', 'location_name', 'path', 'depth', 'currency', 'own_kwh', 'own_cost', 'total_kwh', 'total_cost', 'records_count']
+}
+
 /**
  * @openapi
  * /api/reports/export/by-appliance.csv:
@@ -739,6 +1401,13 @@ router.get('/export/daily.csv', auth, async (req, res, next) => {
  *         name: date_to
  *         required: true
  *         schema: { type: string, example: "2025-12-31" }
+ *       - in: query
+ *         name: group_by
+ *         schema: { type: string, enum: [appliance, category, location], default: appliance }
+ *       - in: query
+ *         name: include_estimates
+ *         schema: { type: boolean, default: true }
+ *         description: Count records estimated for missing days
  *     responses:
  *       200:
  *         description: CSV file
@@ -750,51 +1419,15 @@ router.get('/export/by-appliance.csv', auth, async (req, res, next) => {
     const period = requirePeriod(req, res)
     if (!period) return
     const { dateFrom, dateTo } = period
-
-    const where = buildWhere(req.user.id, dateFrom, dateTo)
-
-    const grouped = await ConsumptionRecord.findAll({
-      where,
-      attributes: [
-        'appliance_id',
-        [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'total_kwh'],
-        [sequelize.fn('SUM', sequelize.col('cost')), 'total_cost'],
-        [sequelize.fn('COUNT', sequelize.col('id')), 'records_count']
-      ],
-      group: ['appliance_id'],
-      order: [[sequelize.literal('total_cost'), 'DESC']],
-      raw: true
-    })
-
-    const ids = grouped
-      .map((g) => g.appliance_id)
-      .filter((id) => id !== null && id !== undefined)
-      .map((id) => Number(id))
-
-    const appliances = ids.length
-      ? await Appliance.findAll({
-          where: { user_id: req.user.id, id: { [Op.in]: ids } },
-          attributes: ['id', 'name'],
-          raw: true
-        })
-      : []
-
-    const nameById = new Map(appliances.map((a) => [Number(a.id), a.name]))
-
-    const normalized = grouped.map((g) => {
-      const apId = g.appliance_id == null ? null : Number(g.appliance_id)
-      return {
-        appliance_id: apId,
-        appliance_name: apId == null ? '' : (nameById.get(apId) || ''),
-        total_kwh: toNumber(g.total_kwh, 0),
-        total_cost: toNumber(g.total_cost, 0),
-        records_count: toNumber(g.records_count, 0)
-      }
-    })
-
-    const headers = ['appliance_id', 'appliance_name', 'total_kwh', 'total_cost', 'records_count']
-    const csv = toCsv(headers, normalized, ';')
-    sendCsv(res, `report_by_appliance_${dateFrom}_to_${dateTo}.csv`, csv)
+    const includeEstimates = parseIncludeEstimates(req, res)
+    if (includeEstimates == null) return
+    const groupBy = parseApplianceGrouping(req, res)
+    if (!groupBy) return
+
+    const rows = await buildByApplianceReport(req.user.id, dateFrom, dateTo, { includeEstimates, groupBy })
+    const suffix = groupBy === 'appliance' ? '' : `_${groupBy}`
+    const csv = toCsv(BY_APPLIANCE_CSV_HEADERS[groupBy], rows, ';')
+    sendCsv(res, `report_by_appliance${suffix}_${dateFrom}_to_${dateTo}.csv`, csv)
   } catch (e) {
     next(e)
   }
@@ -0,0 +1,208 @@
+import { Router } from 'express'
+import { auth } from '../middleware/auth.js'
+import { User, ExchangeRate } from '../models/index.js'
+import { isValidCurrency } from '../services/currency.js'
+
+const router = Router()
+
+function isValidISODate(s) {
+  if (typeof s !== 'string') return false
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false
+
+  const [y, m, d] = s.split('-').map(Number)
+  const dt = new Date(Date.UTC(y, m - 1, d))
+
+  return (
+    dt.getUTCFullYear() === y &&
+    dt.getUTCMonth() === m - 1 &&
+    dt.getUTCDate() === d
+  )
+}
+
+/**
+ * @openapi
+ * /api/settings:
+ *   get:
+ *     tags:
+ *       - Settings
+ *     summary: Get settings of current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/', auth, async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id, { attributes: ['default_currency'] })
+    res.json({ default_currency: user.default_currency })
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/settings:
+ *   patch:
+ *     tags:
+ *       - Settings
+ *     summary: Update settings of current user
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               default_currency: { type: string, example: "UAH", description: "ISO 4217 code, used for new tariffs" }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ */
+router.patch('/', auth, async (req, res, next) => {
+  try {
+    const { default_currency } = req.body || {}
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'default_currency'] })
+
+    if (default_currency !== undefined) {
+      const currency = String(default_currency || '').toUpperCase()
+      if (!isValidCurrency(currency)) {
+        return res.status(400).json({ message: 'default_currency must be a 3-letter currency code' })
+      }
+      await user.update({ default_currency: currency })
+    }
+
+    res.json({ default_currency: user.default_currency })
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/settings/exchange-rates:
+ *   get:
+ *     tags:
+ *       - Settings
+ *     summary: List exchange rates maintained by current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/exchange-rates', auth, async (req, res, next) => {
+  try {
+    const rows = await ExchangeRate.findAll({
+      where: { user_id: req.user.id },
+      order: [['rate_date', 'DESC'], ['id', 'DESC']]
+    })
+    res.json(rows)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/settings/exchange-rates:
+ *   post:
+ *     tags:
+ *       - Settings
+ *     summary: Add exchange rate (1 from_currency = rate to_currency, valid from rate_date)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from_currency, to_currency, rate, rate_date]
+ *             properties:
+ *               from_currency: { type: string, example: "EUR" }
+ *               to_currency: { type: string, example: "UAH" }
+ *               rate: { type: number, example: 45.1 }
+ *               rate_date: { type: string, example: "2025-12-01" }
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Validation error
+ */
+router.post('/exchange-rates', auth, async (req, res, next) => {
+  try {
+    const { from_currency, to_currency, rate, rate_date } = req.body || {}
+
+    const from = String(from_currency || '').toUpperCase()
+    const to = String(to_currency || '').toUpperCase()
+    if (!isValidCurrency(from) || !isValidCurrency(to)) {
+      return res.status(400).json({ message: 'from_currency and to_currency must be 3-letter currency codes' })
+    }
+    if (from === to) {
+      return res.status(400).json({ message: 'from_currency and to_currency must differ' })
+    }
+
+    const rateNum = Number(rate)
+    if (!Number.isFinite(rateNum) || rateNum <= 0) {
+      return res.status(400).json({ message: 'rate must be a positive number' })
+    }
+
+    const date = String(rate_date || '')
+    if (!isValidISODate(date)) {
+      return res.status(400).json({ message: 'rate_date is required (YYYY-MM-DD)' })
+    }
+
+    const created = await ExchangeRate.create({
+      user_id: req.user.id,
+      from_currency: from,
+      to_currency: to,
+      rate: rateNum.toFixed(8),
+      rate_date: date
+    })
+
+    res.status(201).json(created)
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/settings/exchange-rates/{id}:
+ *   delete:
+ *     tags:
+ *       - Settings
+ *     summary: Delete exchange rate
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Not found
+ */
+router.delete('/exchange-rates/:id', auth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id)
+    const row = await ExchangeRate.findOne({ where: { id, user_id: req.user.id } })
+    if (!row) return res.status(404).json({ message: 'not found' })
+
+    await row.destroy()
+    res.status(204).send()
+  } catch (e) {
+    next(e)
+  }
+})
+
+export default router
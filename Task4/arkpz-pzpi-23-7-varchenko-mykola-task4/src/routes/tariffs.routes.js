@@ -1,14 +1,48 @@
 import { Router } from 'express'
-import { auth } from '../middleware/auth.js'
-import { Tariff, sequelize } from '../models/index.js'
 import { Op } from 'sequelize'
+import { auth } from '../middleware/auth.js'
+import { User, Tariff, TariffZone, TariffTier, TariffCharge, TariffActivation, TariffVersion, sequelize } from '../models/index.js'
+import { validateZones, validateTiers, validateCharges } from '../services/pricing.js'
+import { planTariffReprice } from '../services/repricing.js'
+import { writeUserAudit } from '../services/audit.js'
+import { listTrash, findTrashed, trashRetentionDays } from '../services/trash.js'
+import { activateTariff, writeTariffVersion, ensureTariffVersionId, findOverlappingTariffs, tariffOverlapError } from '../services/tariffs.js'
+import { isValidCurrency } from '../services/currency.js'
 
 const router = Router()
 
+const TARIFF_TYPES = ['consumption', 'feed_in']
+
 function isAfter(dateA, dateB) {
   return String(dateA) > String(dateB)
 }
 
+function isValidISODate(s) {
+  if (typeof s !== 'string') return false
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false
+
+  const [y, m, d] = s.split('-').map(Number)
+  const dt = new Date(Date.UTC(y, m - 1, d))
+
+  return (
+    dt.getUTCFullYear() === y &&
+    dt.getUTCMonth() === m - 1 &&
+    dt.getUTCDate() === d
+  )
+}
+
+function parseBool(v) {
+  if (v === true || v === false) return v
+  if (v === 1 || v === 0) return Boolean(v)
+  if (typeof v === 'string') {
+    if (v === 'true') return true
+    if (v === 'false') return false
+    if (v === '1') return true
+    if (v === '0') return false
+  }
+  return null
+}
+
 function todayISO() {
   return new Date().toISOString().slice(0, 10)
 }
@@ -28,12 +62,41 @@ function assertCanBeActiveNow(validFrom, validTo) {
   if (!isDateInRange(today, validFrom, validTo)) {
     return {
       ok: false,
-      message: `Tariff cannot be active now. Today (${today}) is outside the tariff validity range.`
+      message: `Tariff cannot be active now. Today (${today}) is outside the tariff validity range. Use auto_activate to schedule it.`
     }
   }
   return { ok: true }
 }
 
+async function replaceTariffRows(Model, tariffId, rows, transaction) {
+  await Model.destroy({ where: { tariff_id: tariffId }, transaction })
+  if (rows.length) {
+    await Model.bulkCreate(
+      rows.map((r) => ({ ...r, tariff_id: tariffId })),
+      { transaction }
+    )
+  }
+}
+
+const TARIFF_INCLUDE = [
+  { model: TariffZone, as: 'zones' },
+  { model: TariffTier, as: 'tiers' },
+  { model: TariffCharge, as: 'charges' }
+]
+
+const TARIFF_INCLUDE_ORDER = [
+  [{ model: TariffZone, as: 'zones' }, 'time_from', 'ASC'],
+  [{ model: TariffTier, as: 'tiers' }, 'from_kwh', 'ASC']
+]
+
+function findTariffFull(id, userId, transaction) {
+  return Tariff.findOne({
+    where: { id, user_id: userId },
+    include: TARIFF_INCLUDE,
+    order: TARIFF_INCLUDE_ORDER,
+    transaction
+  })
+}
 
 /**
  * @openapi
@@ -41,18 +104,34 @@ function assertCanBeActiveNow(validFrom, validTo) {
  *   get:
  *     tags:
  *       - Tariffs
- *     summary: List tariffs for current user
+ *     summary: List tariffs for current user (with time-of-use zones, volume tiers and charges)
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tariff_type
+ *         schema: { type: string, enum: [consumption, feed_in] }
  *     responses:
  *       200:
  *         description: OK
+ *       400:
+ *         description: Validation error
  */
 router.get('/', auth, async (req, res, next) => {
   try {
+    const where = { user_id: req.user.id }
+    if (req.query.tariff_type) {
+      const tariffType = String(req.query.tariff_type)
+      if (!TARIFF_TYPES.includes(tariffType)) {
+        return res.status(400).json({ message: 'tariff_type must be consumption or feed_in' })
+      }
+      where.tariff_type = tariffType
+    }
+
     const rows = await Tariff.findAll({
-      where: { user_id: req.user.id },
-      order: [['id', 'DESC']]
+      where,
+      include: TARIFF_INCLUDE,
+      order: [['id', 'DESC'], ...TARIFF_INCLUDE_ORDER]
     })
     res.json(rows)
   } catch (e) {
@@ -60,13 +139,110 @@ router.get('/', auth, async (req, res, next) => {
   }
 })
 
+/**
+ * @openapi
+ * /api/tariffs/trash:
+ *   get:
+ *     tags:
+ *       - Tariffs
+ *     summary: List deleted tariffs that can still be restored
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *         description: Default 50, max 200
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, example: 0 }
+ *         description: Default 0
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/trash', auth, async (req, res, next) => {
+  try {
+    res.json(await listTrash(Tariff, req.user.id, req.query))
+  } catch (e) {
+    next(e)
+  }
+})
+
+/**
+ * @openapi
+ * /api/tariffs/activations:
+ *   get:
+ *     tags:
+ *       - Tariffs
+ *     summary: Tariff activation history (manual and scheduled switches)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tariff_id
+ *         schema: { type: integer, example: 3 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *         description: Default 50, max 200
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, example: 0 }
+ *         description: Default 0
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ */
+router.get('/activations', auth, async (req, res, next) => {
+  try {
+    const tariffIdStr = req.query.tariff_id != null ? String(req.query.tariff_id).trim() : ''
+    const tariffId = tariffIdStr ? Number(tariffIdStr) : null
+
+    const limitRaw = req.query.limit != null ? Number(req.query.limit) : 50
+    const offsetRaw = req.query.offset != null ? Number(req.query.offset) : 0
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(1, limitRaw), 200) : 50
+    const offset = Number.isFinite(offsetRaw) ? Math.max(0, offsetRaw) : 0
+
+    const where = { user_id: req.user.id }
+    if (tariffId != null) {
+      if (!Number.isInteger(tariffId) || tariffId <= 0) {
+        return res.status(400).json({ message: 'tariff_id must be positive integer' })
+      }
+      where.tariff_id = tariffId
+    }
+
+    const result = await TariffActivation.findAndCountAll({
+      where,
+      include: [
+        { model: Tariff, as: 'tariff', attributes: ['id', 'tariff_name'] },
+        { model: Tariff, as: 'previous_tariff', attributes: ['id', 'tariff_name'] }
+      ],
+      order: [['id', 'DESC']],
+      limit,
+      offset
+    })
+
+    res.json({
+      total: result.count,
+      limit,
+      offset,
+      items: result.rows
+    })
+  } catch (e) {
+    next(e)
+  }
+})
+
 /**
  * @openapi
  * /api/tariffs:
  *   post:
  *     tags:
  *       - Tariffs
- *     summary: Create tariff (optionally make it active)
+ *     summary: Create tariff (optionally make it active now or schedule activation on valid_from)
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -78,29 +254,140 @@ router.get('/', auth, async (req, res, next) => {
  *             required: [tariff_name, price_per_kwh, valid_from]
  *             properties:
  *               tariff_name: { type: string, example: "Day tariff" }
+ *               tariff_type:
+ *                 type: string
+ *                 enum: [consumption, feed_in]
+ *                 default: consumption
+ *                 description: "feed_in tariffs price exported energy; they cannot have tiers and the type cannot be changed later"
  *               price_per_kwh: { type: number, example: 4.32 }
+ *               currency: { type: string, example: "UAH", description: "Default is the user's default_currency" }
  *               valid_from: { type: string, example: "2025-01-01" }
  *               valid_to: { type: string, example: "2025-12-31" }
  *               is_active: { type: boolean, example: true }
+ *               auto_activate: { type: boolean, example: false, description: "Activate automatically on valid_from (cannot be combined with is_active=true)" }
+ *               zones:
+ *                 type: array
+ *                 description: "Time-of-use zones. Must cover 24 hours without overlaps; a zone may wrap over midnight."
+ *                 items:
+ *                   type: object
+ *                   required: [zone_name, price_per_kwh, time_from, time_to]
+ *                   properties:
+ *                     zone_name: { type: string, example: "night" }
+ *                     price_per_kwh: { type: number, example: 2.16 }
+ *                     time_from: { type: string, example: "23:00" }
+ *                     time_to: { type: string, example: "07:00" }
+ *               tiers:
+ *                 type: array
+ *                 description: "Monthly volume tiers. The first tier starts at 0 kWh. Cannot be combined with zones."
+ *                 items:
+ *                   type: object
+ *                   required: [from_kwh, price_per_kwh]
+ *                   properties:
+ *                     from_kwh: { type: number, example: 250 }
+ *                     price_per_kwh: { type: number, example: 4.32 }
+ *               charges:
+ *                 type: array
+ *                 description: "Fixed fees (per day or per month, prorated by days) and percentage taxes on energy cost plus fixed fees"
+ *                 items:
+ *                   type: object
+ *                   required: [name, charge_type, amount]
+ *                   properties:
+ *                     name: { type: string, example: "VAT" }
+ *                     charge_type: { type: string, enum: [fixed, percent], example: "percent" }
+ *                     amount: { type: number, example: 20 }
+ *                     period: { type: string, enum: [day, month], example: "month", description: "Only for fixed charges, default month" }
  *     responses:
  *       201:
  *         description: Created
  *       400:
  *         description: Validation error
+ *       409:
+ *         description: The valid_from/valid_to range overlaps another tariff of the same type
  */
 router.post('/', auth, async (req, res, next) => {
   try {
-    const { tariff_name, price_per_kwh, valid_from, valid_to, is_active } = req.body || {}
+    const {
+      tariff_name,
+      tariff_type,
+      price_per_kwh,
+      currency,
+      valid_from,
+      valid_to,
+      is_active,
+      auto_activate,
+      zones,
+      tiers,
+      charges
+    } = req.body || {}
 
     if (!tariff_name || price_per_kwh == null || !valid_from) {
       return res.status(400).json({ message: 'tariff_name, price_per_kwh, valid_from are required' })
     }
 
+    const tariffType = tariff_type == null ? 'consumption' : String(tariff_type)
+    if (!TARIFF_TYPES.includes(tariffType)) {
+      return res.status(400).json({ message: 'tariff_type must be consumption or feed_in' })
+    }
+
     if (valid_to && isAfter(valid_from, valid_to)) {
       return res.status(400).json({ message: 'valid_from cannot be after valid_to' })
     }
 
-    const makeActive = is_active !== false
+    const overlapping = await findOverlappingTariffs(req.user.id, tariffType, valid_from, valid_to || null, null)
+    if (overlapping.length) {
+      const err = tariffOverlapError(overlapping)
+      return res.status(err.status).json(err.body)
+    }
+
+    let tariffCurrency
+    if (currency === undefined || currency === null) {
+      const user = await User.findByPk(req.user.id, { attributes: ['default_currency'] })
+      tariffCurrency = user.default_currency
+    } else {
+      tariffCurrency = String(currency).toUpperCase()
+      if (!isValidCurrency(tariffCurrency)) {
+        return res.status(400).json({ message: 'currency must be a 3-letter currency code' })
+      }
+    }
+
+    let zoneRows = []
+    if (zones !== undefined && zones !== null) {
+      const zCheck = validateZones(zones)
+      if (zCheck.error) return res.status(400).json({ message: zCheck.error })
+      zoneRows = zCheck.zones
+    }
+
+    let tierRows = []
+    if (tiers !== undefined && tiers !== null) {
+      const tierCheck = validateTiers(tiers)
+      if (tierCheck.error) return res.status(400).json({ message: tierCheck.error })
+      tierRows = tierCheck.tiers
+    }
+
+    if (zoneRows.length && tierRows.length) {
+      return res.status(400).json({ message: 'A tariff cannot have both zones and tiers' })
+    }
+    if (tariffType === 'feed_in' && tierRows.length) {
+      return res.status(400).json({ message: 'A feed-in tariff cannot have tiers' })
+    }
+
+    let chargeRows = []
+    if (charges !== undefined && charges !== null) {
+      const chargeCheck = validateCharges(charges)
+      if (chargeCheck.error) return res.status(400).json({ message: chargeCheck.error })
+      chargeRows = chargeCheck.charges
+    }
+
+    const autoActivate = auto_activate === undefined ? false : parseBool(auto_activate)
+    if (autoActivate == null) return res.status(400).json({ message: 'auto_activate must be boolean' })
+    if (autoActivate && is_active === true) {
+      return res.status(400).json({ message: 'Use either is_active or auto_activate, not both' })
+    }
+    if (autoActivate && valid_to && isAfter(todayISO(), valid_to)) {
+      return res.status(400).json({ message: 'auto_activate requires valid_to to be today or later' })
+    }
+
+    const makeActive = !autoActivate && is_active !== false
 
 		if (makeActive) {
 			const check = assertCanBeActiveNow(valid_from, valid_to || null)
@@ -111,20 +398,23 @@ router.post('/', auth, async (req, res, next) => {
 			const newRow = await Tariff.create({
 				user_id: req.user.id,
 				tariff_name,
+				tariff_type: tariffType,
 				price_per_kwh,
+				currency: tariffCurrency,
 				valid_from,
 				valid_to: valid_to || null,
-				is_active: makeActive
+				is_active: false,
+				auto_activate: autoActivate
 			}, { transaction: t })
 
-			if (makeActive) {
-				await Tariff.update(
-					{ is_active: false },
-					{ where: { user_id: req.user.id, id: { [Op.ne]: newRow.id } }, transaction: t }
-				)
-			}
+			await replaceTariffRows(TariffZone, newRow.id, zoneRows, t)
+			await replaceTariffRows(TariffTier, newRow.id, tierRows, t)
+			await replaceTariffRows(TariffCharge, newRow.id, chargeRows, t)
+			await writeTariffVersion(newRow.id, 'create', req.user.id, t)
+
+			if (makeActive) await activateTariff(newRow, 'manual', t)
 
-			return newRow
+			return findTariffFull(newRow.id, req.user.id, t)
 		})
 
     res.status(201).json(created)
@@ -139,7 +429,7 @@ router.post('/', auth, async (req, res, next) => {
  *   patch:
  *     tags:
  *       - Tariffs
- *     summary: Update tariff fields
+ *     summary: Update tariff fields (every change is saved as a new tariff version)
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -156,14 +446,46 @@ router.post('/', auth, async (req, res, next) => {
  *             properties:
  *               tariff_name: { type: string }
  *               price_per_kwh: { type: number }
+ *               currency: { type: string, description: "Already priced records keep their currency until re-priced" }
  *               valid_from: { type: string }
  *               valid_to: { type: string }
  *               is_active: { type: boolean }
+ *               auto_activate: { type: boolean }
+ *               zones:
+ *                 type: array
+ *                 description: "Replaces all zones of the tariff. Empty array removes zones."
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     zone_name: { type: string, example: "day" }
+ *                     price_per_kwh: { type: number, example: 4.32 }
+ *                     time_from: { type: string, example: "07:00" }
+ *                     time_to: { type: string, example: "23:00" }
+ *               tiers:
+ *                 type: array
+ *                 description: "Replaces all volume tiers of the tariff. Empty array removes tiers."
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     from_kwh: { type: number, example: 0 }
+ *                     price_per_kwh: { type: number, example: 2.64 }
+ *               charges:
+ *                 type: array
+ *                 description: "Replaces all fixed fees and taxes of the tariff. Empty array removes them."
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name: { type: string, example: "Distribution fee" }
+ *                     charge_type: { type: string, enum: [fixed, percent], example: "fixed" }
+ *                     amount: { type: number, example: 45.5 }
+ *                     period: { type: string, enum: [day, month], example: "month" }
  *     responses:
  *       200:
  *         description: OK
  *       404:
  *         description: Not found
+ *       409:
+ *         description: The valid_from/valid_to range overlaps another tariff of the same type
  */
 router.patch('/:id', auth, async (req, res, next) => {
   try {
@@ -171,7 +493,53 @@ router.patch('/:id', auth, async (req, res, next) => {
     const row = await Tariff.findOne({ where: { id, user_id: req.user.id } })
     if (!row) return res.status(404).json({ message: 'not found' })
 
-    const { tariff_name, price_per_kwh, valid_from, valid_to, is_active } = req.body || {}
+    const {
+      tariff_name,
+      price_per_kwh,
+      currency,
+      valid_from,
+      valid_to,
+      is_active,
+      auto_activate,
+      zones,
+      tiers,
+      charges
+    } = req.body || {}
+
+    const nextCurrency = currency == null ? row.currency : String(currency).toUpperCase()
+    if (!isValidCurrency(nextCurrency)) {
+      return res.status(400).json({ message: 'currency must be a 3-letter currency code' })
+    }
+
+    let zoneRows = null
+    if (zones !== undefined) {
+      const zCheck = validateZones(zones ?? [])
+      if (zCheck.error) return res.status(400).json({ message: zCheck.error })
+      zoneRows = zCheck.zones
+    }
+
+    let tierRows = null
+    if (tiers !== undefined) {
+      const tierCheck = validateTiers(tiers ?? [])
+      if (tierCheck.error) return res.status(400).json({ message: tierCheck.error })
+      tierRows = tierCheck.tiers
+    }
+
+    const hasZones = zoneRows ? zoneRows.length > 0 : (await TariffZone.count({ where: { tariff_id: row.id } })) > 0
+    const hasTiers = tierRows ? tierRows.length > 0 : (await TariffTier.count({ where: { tariff_id: row.id } })) > 0
+    if (hasZones && hasTiers) {
+      return res.status(400).json({ message: 'A tariff cannot have both zones and tiers' })
+    }
+    if (row.tariff_type === 'feed_in' && hasTiers) {
+      return res.status(400).json({ message: 'A feed-in tariff cannot have tiers' })
+    }
+
+    let chargeRows = null
+    if (charges !== undefined) {
+      const chargeCheck = validateCharges(charges ?? [])
+      if (chargeCheck.error) return res.status(400).json({ message: chargeCheck.error })
+      chargeRows = chargeCheck.charges
+    }
 
     const nextValidFrom = valid_from ?? row.valid_from
     const nextValidTo = valid_to === undefined ? row.valid_to : (valid_to || null)
@@ -180,6 +548,12 @@ router.patch('/:id', auth, async (req, res, next) => {
       return res.status(400).json({ message: 'valid_from cannot be after valid_to' })
     }
 
+    const overlapping = await findOverlappingTariffs(req.user.id, row.tariff_type, nextValidFrom, nextValidTo, row.id)
+    if (overlapping.length) {
+      const err = tariffOverlapError(overlapping)
+      return res.status(err.status).json(err.body)
+    }
+
 		const nextIsActive = is_active === undefined ? row.is_active : Boolean(is_active)
 
 		if (nextIsActive) {
@@ -187,23 +561,31 @@ router.patch('/:id', auth, async (req, res, next) => {
 			if (!check.ok) return res.status(400).json({ message: check.message })
 		}
 
-    const updated = await sequelize.transaction(async (t) => {
-			if (is_active === true) {
-				await Tariff.update(
-					{ is_active: false },
-					{ where: { user_id: req.user.id, id: { [Op.ne]: row.id } }, transaction: t }
-				)
-			}
+    const nextAutoActivate = auto_activate === undefined ? Boolean(row.auto_activate) : parseBool(auto_activate)
+    if (nextAutoActivate == null) return res.status(400).json({ message: 'auto_activate must be boolean' })
+    if (nextAutoActivate && nextIsActive) {
+      return res.status(400).json({ message: 'An active tariff cannot be scheduled with auto_activate' })
+    }
 
+    const updated = await sequelize.transaction(async (t) => {
       await row.update({
         tariff_name: tariff_name ?? row.tariff_name,
         price_per_kwh: price_per_kwh ?? row.price_per_kwh,
+        currency: nextCurrency,
         valid_from: nextValidFrom,
         valid_to: nextValidTo,
-        is_active: nextIsActive
+        is_active: nextIsActive && Boolean(row.is_active),
+        auto_activate: nextAutoActivate
       }, { transaction: t })
 
-      return row
+      if (is_active === true) await activateTariff(row, 'manual', t)
+
+      if (zoneRows) await replaceTariffRows(TariffZone, row.id, zoneRows, t)
+      if (tierRows) await replaceTariffRows(TariffTier, row.id, tierRows, t)
+      if (chargeRows) await replaceTariffRows(TariffCharge, row.id, chargeRows, t)
+      await writeTariffVersion(row.id, 'update', req.user.id, t)
+
+      return findTariffFull(row.id, req.user.id, t)
     })
 
     res.json(updated)
@@ -212,6 +594,74 @@ router.patch('/:id', auth, async (req, res, next) => {
   }
 })
 
+/**
+ * @openapi
+ * /api/tariffs/{id}/history:
+ *   get:
+ *     tags:
+ *       - Tariffs
+ *     summary: Version history of a tariff (price snapshots with who changed it and when)
+ *     description: >
+ *       Consumption records keep tariff_version_id, the version their price was calculated with.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *         description: Default 50, max 200
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, example: 0 }
+ *         description: Default 0
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found
+ */
+router.get('/:id/history', auth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id)
+    const tariff = await Tariff.findOne({ where: { id, user_id: req.user.id } })
+    if (!tariff) return res.status(404).json({ message: 'not found' })
+
+    const limitRaw = req.query.limit != null ? Number(req.query.limit) : 50
+    const offsetRaw = req.query.offset != null ? Number(req.query.offset) : 0
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(1, limitRaw), 200) : 50
+    const offset = Number.isFinite(offsetRaw) ? Math.max(0, offsetRaw) : 0
+
+    const result = await TariffVersion.findAndCountAll({
+      where: { tariff_id: tariff.id },
+      include: [{ model: User, as: 'changed_by_user', attributes: ['id', 'email'] }],
+      order: [['version', 'DESC']],
+      limit,
+      offset
+    })
+
+    res.json({
+      total: result.count,
+      limit,
+      offset,
+      current_version_id: tariff.current_version_id,
+      items: result.rows.map((v) => ({
+        id: v.id,
+        version: v.version,
+        change_type: v.change_type,
+        changed_at: v.changed_at,
+        changed_by: v.changed_by_user ? { id: v.changed_by_user.id, email: v.changed_by_user.email } : null,
+        snapshot: JSON.parse(v.snapshot)
+      }))
+    })
+  } catch (e) {
+    next(e)
+  }
+})
+
 /**
  * @openapi
  * /api/tariffs/{id}/activate:
@@ -246,13 +696,7 @@ router.post('/:id/activate', auth, async (req, res, next) => {
     if (!check.ok) return res.status(400).json({ message: check.message })
 
     const updated = await sequelize.transaction(async (t) => {
-			await Tariff.update(
-				{ is_active: false },
-				{ where: { user_id: req.user.id, id: { [Op.ne]: row.id } }, transaction: t }
-			)
-
-      await row.update({ is_active: true }, { transaction: t })
-      return row
+      return activateTariff(row, 'manual', t)
     })
 
     res.json(updated)
@@ -261,13 +705,152 @@ router.post('/:id/activate', auth, async (req, res, next) => {
   }
 })
 
+/**
+ * @openapi
+ * /api/tariffs/{id}/reprice:
+ *   post:
+ *     tags:
+ *       - Tariffs
+ *     summary: Re-price consumption records of a tariff in a date range (dry run shows old vs new totals)
+ *     description: >
+ *       Recalculates applied_price_per_kwh and cost of records priced by this tariff
+ *       (and of older records without tariff_id whose date falls into the tariff validity range).
+ *       Changes are applied in one transaction and written to the audit log; re-priced records
+ *       are linked to the current tariff version. Records in closed billing periods are left
+ *       unchanged and counted in locked_count.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date_from, date_to]
+ *             properties:
+ *               date_from: { type: string, example: "2025-01-01" }
+ *               date_to: { type: string, example: "2025-12-31" }
+ *               dry_run: { type: boolean, example: true, description: "Default false" }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Some records cannot be priced with this tariff (nothing applied)
+ */
+router.post('/:id/reprice', auth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id)
+    const tariff = await findTariffFull(id, req.user.id)
+    if (!tariff) return res.status(404).json({ message: 'not found' })
+
+    const { date_from, date_to, dry_run } = req.body || {}
+    const dateFrom = String(date_from || '')
+    const dateTo = String(date_to || '')
+
+    if (!isValidISODate(dateFrom) || !isValidISODate(dateTo)) {
+      return res.status(400).json({ message: 'date_from and date_to are required (YYYY-MM-DD)' })
+    }
+    if (isAfter(dateFrom, dateTo)) {
+      return res.status(400).json({ message: 'date_from cannot be after date_to' })
+    }
+
+    const dryRun = dry_run === undefined ? false : parseBool(dry_run)
+    if (dryRun == null) return res.status(400).json({ message: 'dry_run must be boolean' })
+
+    const run = async (t) => {
+      const plan = await planTariffReprice(tariff, { userId: req.user.id, dateFrom, dateTo }, t)
+      const changed = plan.items.filter((i) =>
+        i.old_cost !== i.new_cost ||
+        i.old_price_per_kwh !== i.new_price_per_kwh ||
+        i.record.tariff_id == null ||
+        i.record.currency !== tariff.currency
+      )
+
+      const oldTotal = plan.items.reduce((a, i) => a + i.old_cost, 0)
+      const newTotal = plan.items.reduce((a, i) => a + i.new_cost, 0)
+
+      const summary = {
+        tariff_id: tariff.id,
+        date_from: dateFrom,
+        date_to: dateTo,
+        dry_run: dryRun,
+        currency: tariff.currency,
+        records_count: plan.items.length,
+        changed_count: changed.length,
+        locked_count: plan.locked_count,
+        totals: {
+          old_cost: Number(oldTotal.toFixed(4)),
+          new_cost: Number(newTotal.toFixed(4)),
+          difference: Number((newTotal - oldTotal).toFixed(4))
+        },
+        changes: changed.map(({ record, ...rest }) => rest),
+        errors: plan.errors
+      }
+
+      if (dryRun || plan.errors.length) return summary
+
+      // unchanged prices are still re-linked to the version they are now priced with
+      const versionId = await ensureTariffVersionId(tariff, t)
+      const changedIds = new Set(changed.map((i) => i.id))
+
+      for (const i of plan.items) {
+        if (!changedIds.has(i.id) && Number(i.record.tariff_version_id) === versionId) continue
+        await i.record.update({
+          tariff_id: tariff.id,
+          tariff_version_id: versionId,
+          currency: tariff.currency,
+          applied_price_per_kwh: i.new_price_per_kwh.toFixed(4),
+          cost: i.new_cost.toFixed(4)
+        }, { transaction: t })
+      }
+
+      await writeUserAudit(req.user.id, 'TARIFF_REPRICE', {
+        tariff_id: tariff.id,
+        date_from: dateFrom,
+        date_to: dateTo,
+        changed_count: changed.length,
+        tariff_version_id: versionId,
+        old_total_cost: summary.totals.old_cost,
+        new_total_cost: summary.totals.new_cost
+      }, { transaction: t })
+
+      return summary
+    }
+
+    const summary = dryRun ? await run(undefined) : await sequelize.transaction(run)
+
+    if (!dryRun && summary.errors.length) {
+      return res.status(409).json({
+        message: 'Some records cannot be priced with this tariff. Nothing was changed.',
+        ...summary
+      })
+    }
+
+    res.json(summary)
+  } catch (e) {
+    next(e)
+  }
+})
+
 /**
  * @openapi
  * /api/tariffs/{id}:
  *   delete:
  *     tags:
  *       - Tariffs
- *     summary: Delete tariff
+ *     summary: Move tariff to the trash
+ *     description: >
+ *       A trashed tariff no longer prices new records. It is purged with its zones, tiers, charges and
+ *       versions after the retention window, but only once no record priced with it is left.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -294,4 +877,57 @@ router.delete('/:id', auth, async (req, res, next) => {
   }
 })
 
+/**
+ * @openapi
+ * /api/tariffs/{id}/restore:
+ *   post:
+ *     tags:
+ *       - Tariffs
+ *     summary: Restore a tariff from the trash
+ *     description: >
+ *       A tariff that was active comes back inactive when another tariff of the same type
+ *       has been activated in the meantime.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found in the trash
+ *       409:
+ *         description: Another tariff of the same type now covers part of its range
+ */
+router.post('/:id/restore', auth, async (req, res, next) => {
+  try {
+    const restored = await sequelize.transaction(async (t) => {
+      const row = await findTrashed(Tariff, Number(req.params.id), req.user.id, t)
+      if (!row) return null
+
+      const overlapping = await findOverlappingTariffs(req.user.id, row.tariff_type, row.valid_from, row.valid_to, row.id, t)
+      if (overlapping.length) return { error: tariffOverlapError(overlapping) }
+
+      await row.restore({ transaction: t })
+      if (row.is_active) {
+        const otherActive = await Tariff.count({
+          where: { user_id: req.user.id, tariff_type: row.tariff_type, is_active: true, id: { [Op.ne]: row.id } },
+          transaction: t
+        })
+        if (otherActive > 0) await row.update({ is_active: false }, { transaction: t })
+      }
+      return findTariffFull(row.id, req.user.id, t)
+    })
+
+    if (!restored) return res.status(404).json({ message: `not found in the trash (items are kept for ${trashRetentionDays()} days)` })
+    if (restored.error) return res.status(restored.error.status).json(restored.error.body)
+    res.json(restored)
+  } catch (e) {
+    next(e)
+  }
+})
+
 export default router
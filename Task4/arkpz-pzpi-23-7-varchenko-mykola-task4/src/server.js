@@ -1,6 +1,10 @@
 import dotenv from 'dotenv'
 import { createApp } from './app.js'
 import { sequelize } from './models/index.js'
+import { startTariffScheduler } from './jobs/tariffScheduler.js'
+import { startTrashPurge } from './jobs/trashPurge.js'
+import { startRecurringGenerator } from './jobs/recurringGenerator.js'
+import { syncBuiltinCatalog } from './services/catalog.js'
 
 const port = Number(process.env.PORT || 3000)
 const app = createApp()
@@ -9,6 +13,13 @@ async function bootstrap() {
   await sequelize.authenticate()
   console.log('DB: connected')
 
+  const catalogAdded = await syncBuiltinCatalog()
+  if (catalogAdded) console.log(`Catalog: added ${catalogAdded} built-in appliances`)
+
+  startTariffScheduler()
+  startTrashPurge()
+  startRecurringGenerator()
+
   app.listen(port, () => {
     console.log(`Server: http://localhost:${port}`)
     console.log(`Swagger: http://localhost:${port}/api/docs`)
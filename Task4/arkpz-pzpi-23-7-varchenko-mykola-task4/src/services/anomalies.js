@@ -0,0 +1,182 @@
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const MIN_BASELINE_SAMPLES = 3
+const APPLIANCE_WINDOW_DAYS = 28
+
+export const ANOMALY_DEFAULTS = {
+  threshold: 3,
+  baselineWeeks: 8,
+  minGapDays: 2
+}
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : 0
+}
+
+function round(n, digits) {
+  return Number(n.toFixed(digits))
+}
+
+function parseDateUTC(s) {
+  const [y, m, d] = s.split('-').map(Number)
+  return new Date(Date.UTC(y, m - 1, d))
+}
+
+export function shiftDate(date, days) {
+  return new Date(parseDateUTC(date).getTime() + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+function datesBetween(dateFrom, dateTo) {
+  const out = []
+  for (let d = dateFrom; d <= dateTo; d = shiftDate(d, 1)) out.push(d)
+  return out
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+// robust z-score: distance from the median in units of the scaled median absolute deviation,
+// with a floor so a perfectly flat history does not turn every small change into an anomaly
+function robustScore(value, samples) {
+  const center = median(samples)
+  const mad = median(samples.map((v) => Math.abs(v - center)))
+  const scale = Math.max(1.4826 * mad, 0.1 * center, 0.01)
+  return { center, score: (value - center) / scale }
+}
+
+function sumByDate(rows) {
+  const byDate = new Map()
+  for (const r of rows) {
+    const date = String(r.record_date)
+    byDate.set(date, (byDate.get(date) || 0) + toNumber(r.total_kwh))
+  }
+  return byDate
+}
+
+function weekdaySpikes(byDate, dateFrom, dateTo, { threshold, baselineWeeks }) {
+  const out = []
+  for (const date of datesBetween(dateFrom, dateTo)) {
+    if (!byDate.has(date)) continue
+
+    const samples = []
+    for (let w = 1; w <= baselineWeeks; w++) {
+      const prev = shiftDate(date, -7 * w)
+      if (byDate.has(prev)) samples.push(byDate.get(prev))
+    }
+    if (samples.length < MIN_BASELINE_SAMPLES) continue
+
+    const kwh = byDate.get(date)
+    const { center, score } = robustScore(kwh, samples)
+    if (score < threshold) continue
+
+    const weekday = WEEKDAYS[parseDateUTC(date).getUTCDay()]
+    out.push({
+      type: 'weekday_spike',
+      date,
+      score: round(score, 2),
+      kwh: round(kwh, 3),
+      baseline_kwh: round(center, 3),
+      appliance_id: null,
+      explanation: `${round(kwh, 3)} kWh on ${weekday} is far above the usual ${round(center, 3)} kWh ` +
+        `(median of the last ${samples.length} ${weekday}s with data)`
+    })
+  }
+  return out
+}
+
+function applianceJumps(rows, dateFrom, dateTo, { threshold }) {
+  const byAppliance = new Map()
+  for (const r of rows) {
+    if (r.appliance_id == null) continue
+    const id = Number(r.appliance_id)
+    if (!byAppliance.has(id)) byAppliance.set(id, [])
+    byAppliance.get(id).push(r)
+  }
+
+  const out = []
+  for (const [applianceId, applianceRows] of byAppliance) {
+    const byDate = sumByDate(applianceRows)
+
+    for (const date of datesBetween(dateFrom, dateTo)) {
+      if (!byDate.has(date)) continue
+
+      // days without records of the appliance are unknown rather than zero, so they are not in the baseline
+      const samples = []
+      for (let i = 1; i <= APPLIANCE_WINDOW_DAYS; i++) {
+        const prev = shiftDate(date, -i)
+        if (byDate.has(prev)) samples.push(byDate.get(prev))
+      }
+      if (samples.length < MIN_BASELINE_SAMPLES) continue
+
+      const kwh = byDate.get(date)
+      const { center, score } = robustScore(kwh, samples)
+      if (score < threshold) continue
+
+      out.push({
+        type: 'appliance_jump',
+        date,
+        score: round(score, 2),
+        kwh: round(kwh, 3),
+        baseline_kwh: round(center, 3),
+        appliance_id: applianceId,
+        explanation: `Appliance used ${round(kwh, 3)} kWh, a sudden jump from its usual ${round(center, 3)} kWh ` +
+          `(median of ${samples.length} days in the previous ${APPLIANCE_WINDOW_DAYS})`
+      })
+    }
+  }
+  return out
+}
+
+// a gap only counts once the history has started, otherwise every new account would be one long gap
+function zeroGaps(byDate, dateFrom, dateTo, { minGapDays }) {
+  const firstDate = [...byDate.keys()].filter((d) => byDate.get(d) > 0).sort()[0]
+  if (!firstDate) return []
+
+  const out = []
+  let gapStart = null
+  const closeGap = (end) => {
+    const days = Math.round((parseDateUTC(end) - parseDateUTC(gapStart)) / DAY_MS) + 1
+    if (days >= minGapDays) {
+      out.push({
+        type: 'zero_gap',
+        date: gapStart,
+        date_to: end,
+        score: days,
+        kwh: 0,
+        baseline_kwh: null,
+        appliance_id: null,
+        explanation: `No consumption recorded for ${days} day(s) from ${gapStart} to ${end}`
+      })
+    }
+    gapStart = null
+  }
+
+  for (const date of datesBetween(dateFrom > firstDate ? dateFrom : firstDate, dateTo)) {
+    const empty = (byDate.get(date) || 0) <= 0
+    if (empty && gapStart == null) gapStart = date
+    if (!empty && gapStart != null) closeGap(shiftDate(date, -1))
+  }
+  if (gapStart != null) closeGap(dateTo)
+
+  return out
+}
+
+/**
+ * Flags unusual days in [dateFrom, dateTo]. dailyRows are the per-day (and per-appliance)
+ * aggregates of the daily report and must start baselineWeeks before dateFrom so the first
+ * days of the period have a history to compare against.
+ */
+export function detectAnomalies(dailyRows, dateFrom, dateTo, options = {}) {
+  const opts = { ...ANOMALY_DEFAULTS, ...options }
+  const byDate = sumByDate(dailyRows)
+
+  return [
+    ...weekdaySpikes(byDate, dateFrom, dateTo, opts),
+    ...applianceJumps(dailyRows, dateFrom, dateTo, opts),
+    ...zeroGaps(byDate, dateFrom, dateTo, opts)
+  ].sort((a, b) => a.date.localeCompare(b.date) || b.score - a.score)
+}
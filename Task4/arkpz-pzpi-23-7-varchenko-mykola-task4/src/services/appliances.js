@@ -0,0 +1,140 @@
+import { Op } from 'sequelize'
+import { ConsumptionInterval, ConsumptionRecord, RecurringTemplate, RecurringTemplateError, RecurringTemplateSkip } from '../models/index.js'
+import { monthBounds, repriceTieredMonth } from './repricing.js'
+import { assertDatesOpen } from './billingPeriods.js'
+
+export const APPLIANCE_CATEGORIES = [
+  'heating',
+  'cooling',
+  'water_heating',
+  'lighting',
+  'kitchen',
+  'laundry',
+  'electronics',
+  'office',
+  'ev_charging',
+  'other'
+]
+
+export const MAX_POWER_CURVE_STEPS = 24
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+export function parseStandbyPower(value) {
+  if (value === undefined) return { standbyPowerW: undefined }
+  if (value === null) return { standbyPowerW: null }
+  const n = toNumber(value)
+  if (!Number.isFinite(n) || n < 0 || n > 5000) return { error: 'standby_power_w must be a number in [0, 5000]' }
+  return { standbyPowerW: n }
+}
+
+export function parseDutyCycle(value) {
+  if (value === undefined) return { dutyCycle: undefined }
+  if (value === null) return { dutyCycle: null }
+  const n = toNumber(value)
+  if (!Number.isFinite(n) || n <= 0 || n > 1) return { error: 'duty_cycle must be a number in (0, 1]' }
+  return { dutyCycle: n }
+}
+
+/**
+ * A power curve is the draw over one use, as steps from the start: [{ hours, power_kw }, ...].
+ * The last step's power continues for as long as the use lasts.
+ */
+export function parsePowerCurve(value) {
+  if (value === undefined) return { powerCurve: undefined }
+  if (value === null) return { powerCurve: null }
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_POWER_CURVE_STEPS) {
+    return { error: `power_curve must be an array of 1..${MAX_POWER_CURVE_STEPS} steps { hours, power_kw }` }
+  }
+
+  const steps = []
+  for (const [i, step] of value.entries()) {
+    const hours = toNumber(step?.hours)
+    const power = toNumber(step?.power_kw)
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 24) {
+      return { error: `power_curve[${i}].hours must be a number in (0, 24]` }
+    }
+    if (!Number.isFinite(power) || power < 0) {
+      return { error: `power_curve[${i}].power_kw must be a number >= 0` }
+    }
+    steps.push({ hours, power_kw: power })
+  }
+  if (!steps.some((s) => s.power_kw > 0)) return { error: 'power_curve needs at least one step with power_kw > 0' }
+
+  return { powerCurve: steps }
+}
+
+export function curveKwh(curve, hours) {
+  let left = hours
+  let kwh = 0
+  for (const [i, step] of curve.entries()) {
+    const h = i === curve.length - 1 ? left : Math.min(left, step.hours)
+    kwh += h * step.power_kw
+    left -= h
+    if (left <= 0) break
+  }
+  return kwh
+}
+
+export async function countApplianceReferences(userId, applianceId, transaction) {
+  const where = { user_id: userId, appliance_id: applianceId }
+  const [records, intervals, templates] = await Promise.all([
+    ConsumptionRecord.count({ where, paranoid: false, transaction }),
+    ConsumptionInterval.count({ where, transaction }),
+    RecurringTemplate.count({ where, transaction })
+  ])
+  return { consumption_records: records, intervals, recurring_templates: templates }
+}
+
+/**
+ * Removes everything that references the appliance: intervals and their roll-up records are deleted
+ * for good (like deleting intervals directly), other records go to the trash, recurring templates are
+ * deleted. Nothing is removed when one of the records is in a closed billing period.
+ */
+export async function deleteApplianceReferences(userId, applianceId, transaction) {
+  const where = { user_id: userId, appliance_id: applianceId }
+
+  const [records, intervals, templates] = await Promise.all([
+    ConsumptionRecord.findAll({ where, attributes: ['id', 'record_date'], transaction }),
+    ConsumptionInterval.findAll({ where, attributes: ['id', 'interval_date', 'consumption_record_id'], transaction }),
+    RecurringTemplate.findAll({ where, attributes: ['id'], transaction })
+  ])
+
+  const closed = await assertDatesOpen(userId, [
+    ...records.map((r) => r.record_date),
+    ...intervals.map((i) => i.interval_date)
+  ], transaction)
+  if (closed.error) return closed
+
+  const rollUpIds = [...new Set(intervals.map((i) => i.consumption_record_id).filter((id) => id != null))]
+  const templateIds = templates.map((tpl) => tpl.id)
+
+  await ConsumptionInterval.destroy({ where, transaction })
+  if (rollUpIds.length) {
+    await ConsumptionRecord.destroy({ where: { id: { [Op.in]: rollUpIds } }, force: true, transaction })
+  }
+  await ConsumptionRecord.destroy({ where, transaction })
+  if (templateIds.length) {
+    await RecurringTemplateSkip.destroy({ where: { template_id: { [Op.in]: templateIds } }, transaction })
+    await RecurringTemplateError.destroy({ where: { template_id: { [Op.in]: templateIds } }, transaction })
+    await RecurringTemplate.destroy({ where: { id: { [Op.in]: templateIds } }, transaction })
+  }
+
+  const months = new Map(records.map((r) => [monthBounds(String(r.record_date)).start, String(r.record_date)]))
+  for (const date of months.values()) {
+    await repriceTieredMonth(userId, date, transaction)
+  }
+
+  const rollUps = new Set(rollUpIds)
+  return {
+    deleted: {
+      consumption_records: records.filter((r) => !rollUps.has(r.id)).length,
+      interval_records: rollUpIds.length,
+      intervals: intervals.length,
+      recurring_templates: templateIds.length
+    }
+  }
+}
@@ -0,0 +1,23 @@
+import { AuditLog, UserAuditLog } from '../models/index.js'
+
+export async function writeAudit(req, action, targetUserId = null, detailsObj = null) {
+  try {
+    await AuditLog.create({
+      admin_id: req.user.id,
+      action,
+      target_user_id: targetUserId,
+      details: detailsObj ? JSON.stringify(detailsObj) : null
+    })
+  } catch (e) {
+    console.error('AuditLog write failed:', e)
+  }
+}
+
+// not swallowed: written inside the change's transaction, a failed entry rolls the change back
+export async function writeUserAudit(userId, action, detailsObj = null, options = {}) {
+  return UserAuditLog.create({
+    user_id: userId,
+    action,
+    details: detailsObj ? JSON.stringify(detailsObj) : null
+  }, { transaction: options.transaction })
+}
@@ -0,0 +1,147 @@
+import { Op } from 'sequelize'
+import { ConsumptionRecord, Tariff, TariffCharge, sequelize } from '../models/index.js'
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : 0
+}
+
+function round4(n) {
+  return Number(n.toFixed(4))
+}
+
+function parseDateUTC(s) {
+  const [y, m, d] = String(s).split('-').map(Number)
+  return new Date(Date.UTC(y, m - 1, d))
+}
+
+function daysInMonthUTC(dt) {
+  return new Date(Date.UTC(dt.getUTCFullYear(), dt.getUTCMonth() + 1, 0)).getUTCDate()
+}
+
+// monthly fees are prorated by the number of covered days in each calendar month
+export function fixedFeeForRange(charge, dateFrom, dateTo) {
+  const amount = toNumber(charge.amount)
+  const end = parseDateUTC(dateTo).getTime()
+  let total = 0
+
+  for (let dt = parseDateUTC(dateFrom); dt.getTime() <= end; dt = new Date(dt.getTime() + 24 * 60 * 60 * 1000)) {
+    total += charge.period === 'day' ? amount : amount / daysInMonthUTC(dt)
+  }
+  return total
+}
+
+export function chargeLinesForTariff(tariff, charges, energyCost, dateFrom, dateTo) {
+  const from = String(tariff.valid_from) > dateFrom ? String(tariff.valid_from) : dateFrom
+  const to = tariff.valid_to && String(tariff.valid_to) < dateTo ? String(tariff.valid_to) : dateTo
+
+  const lines = []
+  let fixedTotal = 0
+
+  if (from <= to) {
+    for (const c of charges.filter((x) => x.charge_type === 'fixed')) {
+      const amount = fixedFeeForRange(c, from, to)
+      fixedTotal += amount
+      lines.push({
+        type: 'fixed_fee',
+        tariff_id: tariff.id,
+        name: c.name,
+        period: c.period,
+        currency: tariff.currency,
+        amount: round4(amount)
+      })
+    }
+  }
+
+  for (const c of charges.filter((x) => x.charge_type === 'percent')) {
+    const amount = ((energyCost + fixedTotal) * toNumber(c.amount)) / 100
+    lines.push({
+      type: 'tax',
+      tariff_id: tariff.id,
+      name: c.name,
+      percent: toNumber(c.amount),
+      currency: tariff.currency,
+      amount: round4(amount)
+    })
+  }
+
+  return lines
+}
+
+export async function computeBill({ userId, dateFrom, dateTo, where }) {
+  const energyRows = await ConsumptionRecord.findAll({
+    where,
+    attributes: ['tariff_id', 'currency', [sequelize.fn('SUM', sequelize.col('cost')), 'energy_cost']],
+    group: ['tariff_id', 'currency'],
+    raw: true
+  })
+
+  const energyByTariff = new Map()
+  for (const r of energyRows) {
+    const id = r.tariff_id == null ? null : Number(r.tariff_id)
+    if (!energyByTariff.has(id)) energyByTariff.set(id, [])
+    energyByTariff.get(id).push({ currency: r.currency, amount: toNumber(r.energy_cost) })
+  }
+  const pricedIds = [...energyByTariff.keys()].filter((id) => id != null)
+
+  // feed-in tariffs only credit exported energy, their charges belong to the net-metering report
+  const tariffs = await Tariff.findAll({
+    where: {
+      user_id: userId,
+      tariff_type: 'consumption',
+      [Op.or]: [
+        {
+          valid_from: { [Op.lte]: dateTo },
+          [Op.or]: [{ valid_to: null }, { valid_to: { [Op.gte]: dateFrom } }]
+        },
+        { id: { [Op.in]: pricedIds.length ? pricedIds : [0] } }
+      ]
+    },
+    include: [{ model: TariffCharge, as: 'charges' }],
+    order: [['valid_from', 'ASC'], ['id', 'ASC']]
+  })
+
+  const lines = []
+  for (const [tariffId, costs] of energyByTariff) {
+    const tariff = tariffs.find((t) => t.id === tariffId)
+    for (const c of costs) {
+      lines.push({
+        type: 'energy',
+        tariff_id: tariffId,
+        name: tariff ? tariff.tariff_name : 'Unassigned tariff',
+        currency: c.currency,
+        amount: round4(c.amount)
+      })
+    }
+  }
+
+  // taxes use only the energy cost priced in the tariff's own currency
+  for (const tariff of tariffs) {
+    const energyCost = (energyByTariff.get(tariff.id) || [])
+      .filter((c) => c.currency === tariff.currency)
+      .reduce((a, c) => a + c.amount, 0)
+    lines.push(...chargeLinesForTariff(tariff, tariff.charges || [], energyCost, dateFrom, dateTo))
+  }
+
+  return { currencies: totalsByCurrency(lines), lines }
+}
+
+// totals are never summed across currencies
+export function totalsByCurrency(lines) {
+  const byCurrency = new Map()
+  for (const l of lines) {
+    const acc = byCurrency.get(l.currency) || { energy_cost: 0, fixed_fees: 0, taxes: 0 }
+    if (l.type === 'energy') acc.energy_cost += l.amount
+    else if (l.type === 'fixed_fee') acc.fixed_fees += l.amount
+    else if (l.type === 'tax') acc.taxes += l.amount
+    byCurrency.set(l.currency, acc)
+  }
+
+  return [...byCurrency.entries()].map(([currency, acc]) => ({
+    currency,
+    energy_cost: round4(acc.energy_cost),
+    fixed_fees: round4(acc.fixed_fees),
+    taxes: round4(acc.taxes),
+    grand_total: round4(acc.energy_cost + acc.fixed_fees + acc.taxes)
+  }))
+}
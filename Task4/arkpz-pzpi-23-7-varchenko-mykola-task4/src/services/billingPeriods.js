@@ -0,0 +1,56 @@
+import { Op } from 'sequelize'
+import { BillingPeriod } from '../models/index.js'
+
+export async function findClosedPeriod(userId, date, transaction) {
+  return BillingPeriod.findOne({
+    where: {
+      user_id: userId,
+      status: 'closed',
+      date_from: { [Op.lte]: date },
+      date_to: { [Op.gte]: date }
+    },
+    transaction
+  })
+}
+
+export async function loadClosedPeriods(userId, dateFrom, dateTo, transaction) {
+  const rows = await BillingPeriod.findAll({
+    where: {
+      user_id: userId,
+      status: 'closed',
+      date_from: { [Op.lte]: dateTo },
+      date_to: { [Op.gte]: dateFrom }
+    },
+    attributes: ['id', 'date_from', 'date_to'],
+    transaction
+  })
+  return rows.map((p) => ({ id: p.id, date_from: String(p.date_from), date_to: String(p.date_to) }))
+}
+
+export function isDateClosed(periods, date) {
+  const d = String(date)
+  return periods.some((p) => d >= p.date_from && d <= p.date_to)
+}
+
+export function closedPeriodError(period) {
+  return {
+    status: 409,
+    body: {
+      message: `Billing period ${period.date_from}..${period.date_to} is closed. Reopen it to change its records.`,
+      billing_period_id: period.id
+    }
+  }
+}
+
+// checks every date a change touches; returns { error } for the first one inside a closed period
+export async function assertDatesOpen(userId, dates, transaction) {
+  const unique = [...new Set(dates.filter((d) => d != null).map(String))].sort()
+  if (!unique.length) return {}
+
+  const periods = await loadClosedPeriods(userId, unique[0], unique[unique.length - 1], transaction)
+  for (const date of unique) {
+    const period = periods.find((p) => date >= p.date_from && date <= p.date_to)
+    if (period) return { error: closedPeriodError(period) }
+  }
+  return {}
+}
@@ -0,0 +1,66 @@
+import { Op } from 'sequelize'
+import { ApplianceCatalogItem } from '../models/index.js'
+
+// typical figures for a household appliance; typical_power_kw is the draw while running
+const BUILTIN_CATALOG = [
+  { code: 'electric_boiler_80l', name: 'Electric water heater (80 l)', category: 'water_heating', typical_power_kw: 2.0, standby_power_w: 0, typical_hours_per_day: 3 },
+  { code: 'instant_water_heater', name: 'Instant water heater', category: 'water_heating', typical_power_kw: 5.5, standby_power_w: 0, typical_hours_per_day: 0.5 },
+  { code: 'oil_radiator', name: 'Oil-filled radiator', category: 'heating', typical_power_kw: 1.5, standby_power_w: 0, typical_hours_per_day: 6 },
+  { code: 'convector_heater', name: 'Convector heater', category: 'heating', typical_power_kw: 2.0, standby_power_w: 0.5, typical_hours_per_day: 5 },
+  { code: 'heat_pump_air', name: 'Air-to-air heat pump', category: 'heating', typical_power_kw: 0.9, standby_power_w: 3, typical_hours_per_day: 8 },
+  { code: 'floor_heating_mat', name: 'Electric floor heating (bathroom)', category: 'heating', typical_power_kw: 0.6, standby_power_w: 1, typical_hours_per_day: 4 },
+  { code: 'air_conditioner', name: 'Split air conditioner', category: 'cooling', typical_power_kw: 1.0, standby_power_w: 2, typical_hours_per_day: 6 },
+  { code: 'fan', name: 'Fan', category: 'cooling', typical_power_kw: 0.05, standby_power_w: 0, typical_hours_per_day: 6 },
+  { code: 'led_bulb', name: 'LED bulb', category: 'lighting', typical_power_kw: 0.009, standby_power_w: 0, typical_hours_per_day: 5 },
+  { code: 'fluorescent_tube', name: 'Fluorescent tube', category: 'lighting', typical_power_kw: 0.036, standby_power_w: 0, typical_hours_per_day: 5 },
+  { code: 'incandescent_bulb', name: 'Incandescent bulb', category: 'lighting', typical_power_kw: 0.06, standby_power_w: 0, typical_hours_per_day: 5 },
+  { code: 'refrigerator', name: 'Refrigerator', category: 'kitchen', typical_power_kw: 0.15, standby_power_w: 0, typical_hours_per_day: 8 },
+  { code: 'freezer', name: 'Chest freezer', category: 'kitchen', typical_power_kw: 0.1, standby_power_w: 0, typical_hours_per_day: 9 },
+  { code: 'electric_stove', name: 'Electric stove (per hob)', category: 'kitchen', typical_power_kw: 1.5, standby_power_w: 0, typical_hours_per_day: 1 },
+  { code: 'induction_hob', name: 'Induction hob', category: 'kitchen', typical_power_kw: 2.0, standby_power_w: 1, typical_hours_per_day: 1 },
+  { code: 'oven', name: 'Electric oven', category: 'kitchen', typical_power_kw: 2.2, standby_power_w: 1, typical_hours_per_day: 0.5 },
+  { code: 'microwave', name: 'Microwave oven', category: 'kitchen', typical_power_kw: 1.0, standby_power_w: 2, typical_hours_per_day: 0.2 },
+  { code: 'electric_kettle', name: 'Electric kettle', category: 'kitchen', typical_power_kw: 2.0, standby_power_w: 0, typical_hours_per_day: 0.3 },
+  { code: 'dishwasher', name: 'Dishwasher', category: 'kitchen', typical_power_kw: 1.2, standby_power_w: 0.5, typical_hours_per_day: 1 },
+  { code: 'coffee_machine', name: 'Coffee machine', category: 'kitchen', typical_power_kw: 1.2, standby_power_w: 1, typical_hours_per_day: 0.2 },
+  { code: 'washing_machine', name: 'Washing machine', category: 'laundry', typical_power_kw: 0.5, standby_power_w: 0.5, typical_hours_per_day: 1 },
+  { code: 'tumble_dryer', name: 'Tumble dryer', category: 'laundry', typical_power_kw: 2.5, standby_power_w: 0.5, typical_hours_per_day: 0.7 },
+  { code: 'iron', name: 'Iron', category: 'laundry', typical_power_kw: 1.8, standby_power_w: 0, typical_hours_per_day: 0.3 },
+  { code: 'tv_led', name: 'LED TV (50")', category: 'electronics', typical_power_kw: 0.1, standby_power_w: 0.5, typical_hours_per_day: 4 },
+  { code: 'wifi_router', name: 'Wi-Fi router', category: 'electronics', typical_power_kw: 0.01, standby_power_w: 0, typical_hours_per_day: 24 },
+  { code: 'game_console', name: 'Game console', category: 'electronics', typical_power_kw: 0.15, standby_power_w: 1, typical_hours_per_day: 2 },
+  { code: 'phone_charger', name: 'Phone charger', category: 'electronics', typical_power_kw: 0.01, standby_power_w: 0.1, typical_hours_per_day: 2 },
+  { code: 'desktop_pc', name: 'Desktop computer', category: 'office', typical_power_kw: 0.2, standby_power_w: 2, typical_hours_per_day: 6 },
+  { code: 'laptop', name: 'Laptop', category: 'office', typical_power_kw: 0.05, standby_power_w: 0.5, typical_hours_per_day: 6 },
+  { code: 'monitor', name: 'Monitor (27")', category: 'office', typical_power_kw: 0.03, standby_power_w: 0.3, typical_hours_per_day: 6 },
+  { code: 'laser_printer', name: 'Laser printer', category: 'office', typical_power_kw: 0.4, standby_power_w: 3, typical_hours_per_day: 0.2 },
+  { code: 'ev_charger_home', name: 'EV home charger (single-phase)', category: 'ev_charging', typical_power_kw: 7.4, standby_power_w: 3, typical_hours_per_day: 2 },
+  { code: 'vacuum_cleaner', name: 'Vacuum cleaner', category: 'other', typical_power_kw: 1.4, standby_power_w: 0, typical_hours_per_day: 0.3 },
+  { code: 'hair_dryer', name: 'Hair dryer', category: 'other', typical_power_kw: 1.8, standby_power_w: 0, typical_hours_per_day: 0.2 },
+  { code: 'water_pump', name: 'Water pump', category: 'other', typical_power_kw: 0.8, standby_power_w: 0, typical_hours_per_day: 1 }
+]
+
+// inserts built-in entries that are not in the table yet; entries admins deactivated stay deactivated
+export async function syncBuiltinCatalog() {
+  const existing = await ApplianceCatalogItem.findAll({ attributes: ['code'], raw: true })
+  const codes = new Set(existing.map((r) => r.code))
+
+  const missing = BUILTIN_CATALOG.filter((item) => !codes.has(item.code))
+  if (missing.length) {
+    await ApplianceCatalogItem.bulkCreate(missing.map((item) => ({ ...item, is_builtin: true })))
+  }
+  return missing.length
+}
+
+export function catalogSearchWhere({ q, category, includeInactive = false }) {
+  const where = includeInactive ? {} : { is_active: true }
+  if (category) where.category = category
+  if (q) {
+    where[Op.or] = [
+      { name: { [Op.like]: `%${q}%` } },
+      { description: { [Op.like]: `%${q}%` } },
+      { code: { [Op.like]: `%${q}%` } }
+    ]
+  }
+  return where
+}
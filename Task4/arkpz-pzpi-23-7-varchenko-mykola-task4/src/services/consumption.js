@@ -0,0 +1,247 @@
+import { Op } from 'sequelize'
+import { Appliance, ConsumptionRecord, User } from '../models/index.js'
+import { isValidTime, normalizeTime, resolveTariffPrice } from './pricing.js'
+import { TARIFF_TYPE_BY_DIRECTION, findTariffForDate, tariffLookupError, ensureTariffVersionId } from './tariffs.js'
+import { assertDatesOpen } from './billingPeriods.js'
+import { curveKwh } from './appliances.js'
+
+export const DIRECTIONS = ['import', 'export', 'generation']
+
+// how a record entered the system; set by the entry path, never by the client
+export const RECORD_SOURCES = ['manual', 'device', 'csv_import', 'meter_reading', 'interval', 'estimate', 'recurring']
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+function isValidISODate(s) {
+  if (typeof s !== 'string') return false
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false
+
+  const [y, m, d] = s.split('-').map(Number)
+  const dt = new Date(Date.UTC(y, m - 1, d))
+
+  return (
+    dt.getUTCFullYear() === y &&
+    dt.getUTCMonth() === m - 1 &&
+    dt.getUTCDate() === d
+  )
+}
+
+function decimalString(value, digits) {
+  const n = toNumber(value)
+  if (!Number.isFinite(n)) return null
+  return n.toFixed(digits)
+}
+
+// generation is only metered, it has no tariff and no cost
+export async function findTariffForDirection(userId, direction, date, transaction) {
+  if (direction === 'generation') return { ok: true, tariff: null }
+  return findTariffForDate(userId, date, transaction, TARIFF_TYPE_BY_DIRECTION[direction])
+}
+
+export async function priceForDirection(userId, tariff, { zone, recordTime }, transaction) {
+  if (!tariff) {
+    const user = await User.findByPk(userId, { attributes: ['default_currency'], transaction })
+    return { price: 0, zone: null, currency: user.default_currency }
+  }
+
+  const priceResult = resolveTariffPrice(tariff, { zone, recordTime })
+  if (priceResult.error) return priceResult
+  return { ...priceResult, currency: tariff.currency }
+}
+
+/**
+ * kWh of a record. For usage_hours the appliance model is its power curve over the hours of use, or
+ * estimated_power x hours x duty_cycle. Standby is not part of it, see syncApplianceDayStandby.
+ */
+export function computeKwh({ consumption_kwh, usage_hours, appliance }) {
+  if (consumption_kwh !== undefined && consumption_kwh !== null) {
+    const kwh = toNumber(consumption_kwh)
+    if (!Number.isFinite(kwh) || kwh <= 0) return { error: 'consumption_kwh must be a positive number' }
+    return { kwh, hours: null }
+  }
+
+  if (usage_hours !== undefined && usage_hours !== null) {
+    const hours = toNumber(usage_hours)
+    if (!Number.isFinite(hours) || hours <= 0) return { error: 'usage_hours must be a positive number' }
+    if (!appliance) return { error: 'usage_hours requires appliance_id' }
+
+    let activeKwh
+    if (appliance.power_curve) {
+      activeKwh = curveKwh(appliance.power_curve, hours)
+    } else {
+      const power = toNumber(appliance.estimated_power)
+      if (!Number.isFinite(power) || power <= 0) {
+        return { error: 'appliance.estimated_power (>0) or a power_curve must be set to calculate kWh from usage_hours' }
+      }
+      const dutyCycle = appliance.duty_cycle == null ? 1 : toNumber(appliance.duty_cycle)
+      activeKwh = power * hours * dutyCycle
+    }
+
+    if (activeKwh <= 0) return { error: 'the appliance power model gives 0 kWh for these usage_hours' }
+    return { kwh: activeKwh, hours }
+  }
+
+  return { error: 'Provide consumption_kwh OR usage_hours (with appliance_id)' }
+}
+
+// standby_power_w drawn for the hours of the day the appliance is not in use
+export function dailyStandbyKwh(appliance, usageHours) {
+  const standbyW = appliance && appliance.standby_power_w != null ? toNumber(appliance.standby_power_w) : 0
+  if (!Number.isFinite(standbyW) || standbyW <= 0) return 0
+  return (standbyW / 1000) * Math.max(0, 24 - usageHours)
+}
+
+/**
+ * Standby is charged once per appliance-day, from the day's usage_hours summed over all its records,
+ * and booked on the first of them (consumption_kwh includes it, standby_kwh shows it). Call it after
+ * records of the day are added, changed or removed, before the month is re-priced.
+ */
+export async function syncApplianceDayStandby(userId, applianceId, date, transaction) {
+  if (applianceId == null) return
+
+  const records = await ConsumptionRecord.findAll({
+    where: {
+      user_id: userId,
+      appliance_id: applianceId,
+      direction: 'import',
+      record_date: date,
+      usage_hours: { [Op.ne]: null }
+    },
+    order: [['id', 'ASC']],
+    transaction
+  })
+  if (!records.length) return
+
+  const appliance = await Appliance.findOne({ where: { id: applianceId }, paranoid: false, transaction })
+  const hours = records.reduce((a, r) => a + toNumber(r.usage_hours), 0)
+  const standbyKwh = dailyStandbyKwh(appliance, hours)
+
+  for (const [i, r] of records.entries()) {
+    const standbyStr = decimalString(i === 0 ? standbyKwh : 0, 3)
+    if (decimalString(r.standby_kwh, 3) === standbyStr) continue
+
+    const kwhStr = decimalString(toNumber(r.consumption_kwh) - toNumber(r.standby_kwh) + toNumber(standbyStr), 3)
+    await r.update({
+      consumption_kwh: kwhStr,
+      standby_kwh: standbyStr,
+      cost: decimalString(toNumber(kwhStr) * toNumber(r.applied_price_per_kwh), 4)
+    }, { transaction })
+  }
+}
+
+export function parseZoneInput({ zone, record_time }) {
+  if (record_time !== undefined && record_time !== null && !isValidTime(String(record_time))) {
+    return { error: 'record_time must be HH:MM' }
+  }
+  if (zone !== undefined && zone !== null && typeof zone !== 'string') {
+    return { error: 'zone must be a string' }
+  }
+
+  return {
+    zone: zone === undefined ? undefined : (zone || null),
+    recordTime: record_time === undefined ? undefined : (record_time ? normalizeTime(String(record_time)) : null)
+  }
+}
+
+export function parseDirection(value) {
+  if (value === undefined || value === null) return { direction: undefined }
+  const direction = String(value)
+  if (!DIRECTIONS.includes(direction)) return { error: `direction must be one of: ${DIRECTIONS.join(', ')}` }
+  return { direction }
+}
+
+// validates and prices a new record without writing it; shared by every path that creates records.
+// A caller that inserts inside a transaction passes it, so the checks read what the insert will see
+export async function prepareNewRecord(userId, input, source = 'manual', transaction) {
+  const { direction: directionRaw, appliance_id, consumption_kwh, usage_hours, record_date, record_time, zone, notes } = input
+  const fail = (status, message) => ({ error: { status, body: { message } } })
+
+  const hasKwh = consumption_kwh !== undefined && consumption_kwh !== null
+  const hasHours = usage_hours !== undefined && usage_hours !== null
+
+  if (hasKwh && hasHours) {
+    return fail(400, 'Provide either consumption_kwh or usage_hours, not both')
+  }
+
+  const dirInput = parseDirection(directionRaw)
+  if (dirInput.error) return fail(400, dirInput.error)
+  const direction = dirInput.direction || 'import'
+
+  if (direction !== 'import' && (hasHours || (appliance_id !== undefined && appliance_id !== null))) {
+    return fail(400, 'appliance_id and usage_hours are only allowed for import records')
+  }
+
+  const date = String(record_date || '')
+  if (!isValidISODate(date)) {
+    return fail(400, 'record_date is required (YYYY-MM-DD)')
+  }
+
+  const closed = await assertDatesOpen(userId, [date], transaction)
+  if (closed.error) return closed
+
+  const zoneInput = parseZoneInput({ zone, record_time })
+  if (zoneInput.error) return fail(400, zoneInput.error)
+
+  const tCheck = await findTariffForDirection(userId, direction, date, transaction)
+  if (!tCheck.ok) return { error: tariffLookupError(tCheck, date) }
+  const tariff = tCheck.tariff
+
+  let appliance = null
+  if (appliance_id !== undefined && appliance_id !== null) {
+    appliance = await Appliance.findOne({
+      where: { id: Number(appliance_id), user_id: userId },
+      transaction
+    })
+    if (!appliance) return fail(404, 'appliance not found')
+    if (appliance.archived_at) return fail(400, 'appliance is archived, unarchive it to add records')
+  }
+
+  const kwhResult = computeKwh({ consumption_kwh, usage_hours, appliance })
+  if (kwhResult.error) return fail(400, kwhResult.error)
+
+  const priceResult = await priceForDirection(userId, tariff, {
+    zone: zoneInput.zone,
+    recordTime: zoneInput.recordTime
+  }, transaction)
+  if (priceResult.error) return fail(400, priceResult.error)
+
+  const kwhStr = decimalString(kwhResult.kwh, 3)
+  const priceStr = decimalString(priceResult.price, 4)
+  const costStr = decimalString(toNumber(kwhStr) * toNumber(priceStr), 4)
+
+  return {
+    tariff,
+    values: {
+      user_id: userId,
+      appliance_id: appliance ? appliance.id : null,
+      tariff_id: tariff ? tariff.id : null,
+      direction,
+      consumption_kwh: kwhStr,
+      standby_kwh: '0.000',
+      usage_hours: kwhResult.hours == null ? null : decimalString(kwhResult.hours, 2),
+      applied_price_per_kwh: priceStr,
+      cost: costStr,
+      currency: priceResult.currency,
+      record_date: date,
+      record_time: zoneInput.recordTime ?? null,
+      zone: priceResult.zone,
+      notes: notes || null,
+      source
+    }
+  }
+}
+
+export async function insertPreparedRecord(prepared, transaction) {
+  const row = await ConsumptionRecord.create({
+    ...prepared.values,
+    tariff_version_id: prepared.tariff ? await ensureTariffVersionId(prepared.tariff, transaction) : null
+  }, { transaction })
+
+  if (row.usage_hours != null) {
+    await syncApplianceDayStandby(row.user_id, row.appliance_id, row.record_date, transaction)
+  }
+  return row
+}
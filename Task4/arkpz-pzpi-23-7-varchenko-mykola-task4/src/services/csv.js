@@ -0,0 +1,96 @@
+// Excel-friendly CSV: BOM, 'sep=' hint line, ';' delimiter and decimal comma
+
+function excelNormalize(value) {
+  if (value === null || value === undefined) return ''
+
+  let s = String(value)
+
+  if (/^-?\d+(\.\d+)?$/.test(s)) {
+    s = s.replace('.', ',')
+  }
+
+  return s
+}
+
+function csvEscape(value) {
+  const s = excelNormalize(value)
+  if (/[;"\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`
+  return s
+}
+
+export function toCsv(headers, rows, delimiter = ';') {
+  const sepLine = `sep=${delimiter}\n`
+  const head = headers.map(csvEscape).join(delimiter)
+  const body = rows
+    .map((r) => headers.map((h) => csvEscape(r[h])).join(delimiter))
+    .join('\n')
+
+  return `\uFEFF${sepLine}${head}\n${body}\n`
+}
+
+// reads what toCsv writes; rows keep the file line they start on for error reports
+export function parseCsv(text) {
+  let src = String(text || '')
+  if (src.charCodeAt(0) === 0xfeff) src = src.slice(1)
+
+  let delimiter = ';'
+  const sepMatch = /^sep=(.)\r?\n/.exec(src)
+  let line = 1
+  if (sepMatch) {
+    delimiter = sepMatch[1]
+    src = src.slice(sepMatch[0].length)
+    line = 2
+  }
+
+  const rows = []
+  let cells = []
+  let cell = ''
+  let inQuotes = false
+  let rowLine = line
+
+  const endRow = () => {
+    cells.push(cell)
+    if (cells.length > 1 || cells[0].trim() !== '') rows.push({ line: rowLine, cells })
+    cells = []
+    cell = ''
+  }
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i]
+
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (ch === '"') {
+        inQuotes = false
+      } else {
+        if (ch === '\n') line++
+        cell += ch
+      }
+      continue
+    }
+
+    if (ch === '"') inQuotes = true
+    else if (ch === delimiter) {
+      cells.push(cell)
+      cell = ''
+    } else if (ch === '\r') continue
+    else if (ch === '\n') {
+      endRow()
+      line++
+      rowLine = line
+    } else cell += ch
+  }
+  if (cell !== '' || cells.length) endRow()
+
+  return { delimiter, rows }
+}
+
+// accepts both "3,5" (as exported) and "3.5"
+export function parseDecimal(value) {
+  const s = String(value ?? '').trim()
+  if (s === '') return null
+  if (/^-?\d+,\d+$/.test(s)) return Number(s.replace(',', '.'))
+  return Number(s)
+}
@@ -0,0 +1,51 @@
+import { Op } from 'sequelize'
+import { ExchangeRate } from '../models/index.js'
+
+export function isValidCurrency(s) {
+  return typeof s === 'string' && /^[A-Z]{3}$/.test(s)
+}
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+// latest rate on or before the date; a pair can also be used in the reverse direction
+export async function loadRateTable(userId, date) {
+  const rows = await ExchangeRate.findAll({
+    where: { user_id: userId, rate_date: { [Op.lte]: date } },
+    order: [['rate_date', 'DESC'], ['id', 'DESC']]
+  })
+
+  const rates = new Map()
+  for (const r of rows) {
+    const key = `${r.from_currency}:${r.to_currency}`
+    if (!rates.has(key)) rates.set(key, toNumber(r.rate))
+  }
+
+  return {
+    convert(amount, from, to) {
+      if (from === to) return amount
+      const direct = rates.get(`${from}:${to}`)
+      if (direct > 0) return amount * direct
+      const inverse = rates.get(`${to}:${from}`)
+      if (inverse > 0) return amount / inverse
+      return null
+    }
+  }
+}
+
+// amounts: [{ currency, amount }] -> { total } or { missing: ['EUR->UAH'] }
+export function sumConverted(rateTable, amounts, target) {
+  let total = 0
+  const missing = new Set()
+
+  for (const a of amounts) {
+    const converted = rateTable.convert(a.amount, a.currency, target)
+    if (converted == null) missing.add(`${a.currency}->${target}`)
+    else total += converted
+  }
+
+  if (missing.size) return { missing: [...missing] }
+  return { total: Number(total.toFixed(4)) }
+}
@@ -0,0 +1,88 @@
+import { Op } from 'sequelize'
+import { ConsumptionRecord, sequelize } from '../models/index.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const ESTIMATE_HISTORY_DAYS = 28
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : 0
+}
+
+function shiftDate(date, days) {
+  const [y, m, d] = date.split('-').map(Number)
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+function applianceWhere(applianceId) {
+  return applianceId == null ? {} : { appliance_id: applianceId }
+}
+
+// a day is missing when it has no import record at all; days that were already estimated are not gaps
+export async function findGapDays(userId, dateFrom, dateTo, applianceId = null) {
+  const rows = await ConsumptionRecord.findAll({
+    where: {
+      user_id: userId,
+      direction: 'import',
+      record_date: { [Op.between]: [dateFrom, dateTo] },
+      ...applianceWhere(applianceId)
+    },
+    attributes: [[sequelize.fn('DISTINCT', sequelize.col('record_date')), 'record_date']],
+    raw: true
+  })
+  const present = new Set(rows.map((r) => String(r.record_date)))
+
+  const missing = []
+  for (let d = dateFrom; d <= dateTo; d = shiftDate(d, 1)) {
+    if (!present.has(d)) missing.push(d)
+  }
+  return missing
+}
+
+export function groupGapRanges(days) {
+  const ranges = []
+  for (const d of days) {
+    const last = ranges[ranges.length - 1]
+    if (last && shiftDate(last.date_to, 1) === d) {
+      last.date_to = d
+      last.days++
+    } else {
+      ranges.push({ date_from: d, date_to: d, days: 1 })
+    }
+  }
+  return ranges
+}
+
+/**
+ * Average daily kWh per tariff zone over the days that have real (not estimated) import records,
+ * from ESTIMATE_HISTORY_DAYS before dateFrom up to dateTo. With an appliance only its own records count.
+ */
+export async function estimateDailyProfile(userId, dateFrom, dateTo, applianceId = null) {
+  const where = {
+    user_id: userId,
+    direction: 'import',
+    is_estimated: false,
+    record_date: { [Op.between]: [shiftDate(dateFrom, -ESTIMATE_HISTORY_DAYS), dateTo] },
+    ...applianceWhere(applianceId)
+  }
+
+  const [zoneRows, dayCount] = await Promise.all([
+    ConsumptionRecord.findAll({
+      where,
+      attributes: ['zone', [sequelize.fn('SUM', sequelize.col('consumption_kwh')), 'total_kwh']],
+      group: ['zone'],
+      raw: true
+    }),
+    ConsumptionRecord.count({ where, distinct: true, col: 'record_date' })
+  ])
+
+  if (!dayCount) return { days: 0, zones: [] }
+
+  return {
+    days: dayCount,
+    zones: zoneRows
+      .map((r) => ({ zone: r.zone ?? null, kwh: Number((toNumber(r.total_kwh) / dayCount).toFixed(3)) }))
+      .filter((z) => z.kwh > 0)
+  }
+}
@@ -0,0 +1,243 @@
+import { Op } from 'sequelize'
+import { ConsumptionInterval, ConsumptionRecord } from '../models/index.js'
+import { resolveTariffPrice } from './pricing.js'
+import { monthBounds, repriceTieredMonth } from './repricing.js'
+import { tariffLookupError, ensureTariffVersionId } from './tariffs.js'
+import { findTariffForDirection, priceForDirection } from './consumption.js'
+
+const TIMESTAMP_RE = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+function parseTimestamp(s) {
+  const m = TIMESTAMP_RE.exec(String(s || ''))
+  if (!m) return null
+
+  const [y, mo, d] = m[1].split('-').map(Number)
+  const dt = new Date(Date.UTC(y, mo - 1, d))
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== mo - 1 || dt.getUTCDate() !== d) return null
+
+  const [h, min, sec] = [Number(m[2]), Number(m[3]), Number(m[4] || 0)]
+  if (h > 23 || min > 59 || sec > 59) return null
+  return { date: m[1], minutes: h * 60 + min + sec / 60 }
+}
+
+function nextDay(date) {
+  const [y, m, d] = date.split('-').map(Number)
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10)
+}
+
+function minutesToTime(minutes) {
+  const totalSec = Math.round(minutes * 60)
+  const h = Math.floor(totalSec / 3600)
+  const m = Math.floor((totalSec % 3600) / 60)
+  const s = totalSec % 60
+  return [h, m, s].map((v) => String(v).padStart(2, '0')).join(':')
+}
+
+function timeToMinutes(s) {
+  const [h, m, sec] = String(s).split(':').map(Number)
+  return h * 60 + m + (sec || 0) / 60
+}
+
+// wall-clock local time without offset; an interval may end at 00:00 of the next day but not cross midnight
+export function parseIntervalBounds(start, end) {
+  const from = parseTimestamp(start)
+  const to = parseTimestamp(end)
+  if (!from || !to) return { error: 'start and end must be YYYY-MM-DDTHH:MM[:SS]' }
+
+  let endMinutes = to.minutes
+  if (to.date === nextDay(from.date) && to.minutes === 0) endMinutes = 24 * 60
+  else if (to.date !== from.date) return { error: 'an interval cannot cross midnight' }
+
+  if (endMinutes <= from.minutes) return { error: 'end must be after start' }
+
+  return {
+    date: from.date,
+    startTime: minutesToTime(from.minutes),
+    endTime: minutesToTime(endMinutes)
+  }
+}
+
+function groupKey(r) {
+  return `${r.interval_date}|${r.appliance_id ?? ''}|${r.direction}`
+}
+
+/**
+ * Works out the daily roll-up records for every (date, appliance, direction) touched by a change,
+ * without writing anything. Existing intervals listed in excludeIds are treated as deleted and
+ * newIntervals as already stored; applyRollUp inserts them.
+ */
+export async function planRollUp(userId, { newIntervals = [], keys = [], excludeIds = [] }, transaction) {
+  const groups = new Map()
+  for (const k of [...keys, ...newIntervals]) {
+    const key = groupKey(k)
+    if (!groups.has(key)) {
+      groups.set(key, {
+        interval_date: String(k.interval_date),
+        appliance_id: k.appliance_id ?? null,
+        direction: k.direction,
+        rows: []
+      })
+    }
+  }
+
+  const tariffCache = new Map()
+  const entries = []
+  const obsoleteRecordIds = []
+
+  for (const g of groups.values()) {
+    const stored = await ConsumptionInterval.findAll({
+      where: {
+        user_id: userId,
+        interval_date: g.interval_date,
+        appliance_id: g.appliance_id,
+        direction: g.direction
+      },
+      transaction
+    })
+    const excluded = new Set(excludeIds.map(Number))
+    g.rows = [
+      ...stored.filter((r) => !excluded.has(r.id)),
+      ...newIntervals.filter((r) => groupKey(r) === groupKey(g))
+    ].sort((a, b) => timeToMinutes(a.start_time) - timeToMinutes(b.start_time))
+
+    for (let i = 1; i < g.rows.length; i++) {
+      if (timeToMinutes(g.rows[i].start_time) < timeToMinutes(g.rows[i - 1].end_time)) {
+        return {
+          error: {
+            status: 409,
+            body: { message: `Interval ${g.interval_date} ${g.rows[i].start_time} overlaps an existing interval of the same appliance` }
+          }
+        }
+      }
+    }
+
+    const linkedIds = [...new Set(stored.map((r) => r.consumption_record_id).filter((id) => id != null))]
+    const linkedRecords = linkedIds.length
+      ? await ConsumptionRecord.findAll({ where: { id: { [Op.in]: linkedIds } }, attributes: ['id', 'zone'], transaction })
+      : []
+    const recordIdByZone = new Map(linkedRecords.map((r) => [r.zone ?? null, r.id]))
+
+    if (!g.rows.length) {
+      obsoleteRecordIds.push(...linkedIds)
+      continue
+    }
+
+    const cacheKey = `${g.interval_date}|${g.direction}`
+    if (!tariffCache.has(cacheKey)) {
+      tariffCache.set(cacheKey, await findTariffForDirection(userId, g.direction, g.interval_date, transaction))
+    }
+    const tCheck = tariffCache.get(cacheKey)
+    if (!tCheck.ok) return { error: tariffLookupError(tCheck, g.interval_date) }
+    const tariff = tCheck.tariff
+
+    // every interval is billed in the zone its start time falls into
+    const byZone = new Map()
+    for (const r of g.rows) {
+      let zone = null
+      if (tariff && (tariff.zones || []).length) {
+        const zoneResult = resolveTariffPrice(tariff, { zone: null, recordTime: String(r.start_time) })
+        if (zoneResult.error) return { error: { status: 400, body: { message: zoneResult.error } } }
+        zone = zoneResult.zone
+      }
+      if (!byZone.has(zone)) byZone.set(zone, { kwh: 0, intervals: [] })
+      const z = byZone.get(zone)
+      z.kwh += toNumber(r.consumption_kwh)
+      z.intervals.push(r)
+    }
+
+    const usedIds = new Set()
+    for (const [zone, z] of byZone) {
+      // idle intervals are kept but do not produce a record
+      if (Number(z.kwh.toFixed(3)) <= 0) {
+        entries.push({ group: g, zone, intervals: z.intervals, empty: true })
+        continue
+      }
+
+      const priceResult = await priceForDirection(userId, tariff, { zone, recordTime: null }, transaction)
+      if (priceResult.error) return { error: { status: 400, body: { message: priceResult.error } } }
+
+      const recordId = recordIdByZone.get(zone) ?? null
+      if (recordId != null) usedIds.add(recordId)
+      entries.push({ group: g, zone, kwh: z.kwh, intervals: z.intervals, tariff, priceResult, recordId })
+    }
+    obsoleteRecordIds.push(...linkedIds.filter((id) => !usedIds.has(id)))
+  }
+
+  return { plan: { entries, obsoleteRecordIds, newIntervals } }
+}
+
+export async function applyRollUp(userId, plan, transaction) {
+  const months = new Map()
+
+  if (plan.newIntervals.length) {
+    const created = await ConsumptionInterval.bulkCreate(
+      plan.newIntervals.map((r) => ({ ...r, user_id: userId })),
+      { transaction }
+    )
+    created.forEach((row, i) => { plan.newIntervals[i].id = row.id })
+  }
+
+  for (const e of plan.entries) {
+    if (e.empty) {
+      await ConsumptionInterval.update(
+        { consumption_record_id: null },
+        { where: { id: { [Op.in]: e.intervals.map((r) => r.id) } }, transaction }
+      )
+      continue
+    }
+
+    const kwhStr = e.kwh.toFixed(3)
+    const priceStr = Number(e.priceResult.price).toFixed(4)
+    const values = {
+      tariff_id: e.tariff ? e.tariff.id : null,
+      tariff_version_id: e.tariff ? await ensureTariffVersionId(e.tariff, transaction) : null,
+      consumption_kwh: kwhStr,
+      applied_price_per_kwh: priceStr,
+      cost: (Number(kwhStr) * Number(priceStr)).toFixed(4),
+      currency: e.priceResult.currency,
+      zone: e.priceResult.zone
+    }
+
+    let recordId = e.recordId
+    if (recordId != null) {
+      await ConsumptionRecord.update(values, { where: { id: recordId }, transaction })
+    } else {
+      const created = await ConsumptionRecord.create({
+        ...values,
+        user_id: userId,
+        appliance_id: e.group.appliance_id,
+        direction: e.group.direction,
+        record_date: e.group.interval_date,
+        record_time: null,
+        notes: 'Interval roll-up',
+        source: 'interval'
+      }, { transaction })
+      recordId = created.id
+    }
+
+    await ConsumptionInterval.update(
+      { consumption_record_id: recordId },
+      { where: { id: { [Op.in]: e.intervals.map((r) => r.id) } }, transaction }
+    )
+    months.set(monthBounds(e.group.interval_date).start, e.group.interval_date)
+  }
+
+  if (plan.obsoleteRecordIds.length) {
+    const obsolete = await ConsumptionRecord.findAll({
+      where: { id: { [Op.in]: plan.obsoleteRecordIds } },
+      attributes: ['id', 'record_date'],
+      transaction
+    })
+    for (const r of obsolete) months.set(monthBounds(String(r.record_date)).start, String(r.record_date))
+    await ConsumptionRecord.destroy({ where: { id: { [Op.in]: plan.obsoleteRecordIds } }, force: true, transaction })
+  }
+
+  for (const date of months.values()) {
+    await repriceTieredMonth(userId, date, transaction)
+  }
+}
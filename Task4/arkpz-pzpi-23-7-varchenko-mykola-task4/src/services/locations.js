@@ -0,0 +1,102 @@
+import { Location } from '../models/index.js'
+
+export const LOCATION_KINDS = ['house', 'floor', 'room', 'other']
+
+export const MAX_LOCATION_DEPTH = 6
+
+export async function loadLocations(userId, transaction) {
+  const rows = await Location.findAll({ where: { user_id: userId }, raw: true, transaction })
+  return new Map(rows.map((r) => [Number(r.id), { ...r, id: Number(r.id), parent_id: r.parent_id == null ? null : Number(r.parent_id) }]))
+}
+
+// ancestors of a location from the root down to the location itself
+export function locationPath(byId, id) {
+  const path = []
+  const seen = new Set()
+  let current = byId.get(Number(id))
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id)
+    path.unshift(current)
+    current = current.parent_id == null ? null : byId.get(current.parent_id)
+  }
+  return path
+}
+
+export function subtreeDepth(byId, id) {
+  let depth = 0
+  for (const loc of byId.values()) {
+    const path = locationPath(byId, loc.id)
+    const index = path.findIndex((p) => p.id === Number(id))
+    if (index >= 0) depth = Math.max(depth, path.length - index)
+  }
+  return depth
+}
+
+/**
+ * Adds every row to its own location and to all of its ancestors, so a house total includes its
+ * floors and rooms. Rows are { location_id, currency, total_kwh, total_cost, records_count };
+ * rows without a location (or with a location that no longer exists) are returned as unassigned.
+ */
+export function rollUpByLocation(rows, byId) {
+  const buckets = new Map()
+  const bucket = (locationId, currency) => {
+    const key = `${locationId}|${currency}`
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        location_id: locationId,
+        currency,
+        own_kwh: 0,
+        own_cost: 0,
+        total_kwh: 0,
+        total_cost: 0,
+        records_count: 0
+      })
+    }
+    return buckets.get(key)
+  }
+
+  for (const r of rows) {
+    const path = r.location_id == null ? [] : locationPath(byId, r.location_id)
+    if (!path.length) {
+      const b = bucket(null, r.currency)
+      b.own_kwh += r.total_kwh
+      b.own_cost += r.total_cost
+      b.total_kwh += r.total_kwh
+      b.total_cost += r.total_cost
+      b.records_count += r.records_count
+      continue
+    }
+
+    const own = bucket(path[path.length - 1].id, r.currency)
+    own.own_kwh += r.total_kwh
+    own.own_cost += r.total_cost
+    for (const loc of path) {
+      const b = bucket(loc.id, r.currency)
+      b.total_kwh += r.total_kwh
+      b.total_cost += r.total_cost
+      b.records_count += r.records_count
+    }
+  }
+
+  return [...buckets.values()].map((b) => {
+    const path = b.location_id == null ? [] : locationPath(byId, b.location_id)
+    const loc = path[path.length - 1]
+    return {
+      location_id: b.location_id,
+      location_name: loc ? loc.name : null,
+      kind: loc ? loc.kind : null,
+      parent_id: loc ? loc.parent_id : null,
+      path: path.map((p) => p.name).join(' / '),
+      depth: path.length,
+      currency: b.currency,
+      own_kwh: Number(b.own_kwh.toFixed(3)),
+      own_cost: Number(b.own_cost.toFixed(2)),
+      total_kwh: Number(b.total_kwh.toFixed(3)),
+      total_cost: Number(b.total_cost.toFixed(2)),
+      records_count: b.records_count
+    }
+  }).sort((a, b) => {
+    if (a.location_id == null || b.location_id == null) return (a.location_id == null) - (b.location_id == null)
+    return a.path.localeCompare(b.path) || a.currency.localeCompare(b.currency)
+  })
+}
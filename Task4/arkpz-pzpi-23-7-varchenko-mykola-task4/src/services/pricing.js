@@ -0,0 +1,200 @@
+const MINUTES_PER_DAY = 24 * 60
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+export function isValidTime(s) {
+  if (typeof s !== 'string') return false
+  const m = /^(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(s)
+  if (!m) return false
+
+  const [h, min, sec] = [Number(m[1]), Number(m[2]), Number(m[3] || 0)]
+  return h < 24 && min < 60 && sec < 60
+}
+
+export function normalizeTime(s) {
+  const [h, m, sec] = String(s).split(':')
+  return `${h}:${m}:${sec || '00'}`
+}
+
+function timeToMinutes(s) {
+  const [h, m] = String(s).split(':').map(Number)
+  return h * 60 + m
+}
+
+// a zone whose time_from is after time_to wraps over midnight (e.g. night 23:00-07:00)
+function zoneCoversMinute(zone, minute) {
+  const from = timeToMinutes(zone.time_from)
+  const to = timeToMinutes(zone.time_to)
+  if (from < to) return minute >= from && minute < to
+  return minute >= from || minute < to
+}
+
+export function validateZones(zones) {
+  if (!Array.isArray(zones)) return { error: 'zones must be an array' }
+  if (zones.length === 0) return { zones: [] }
+
+  const names = new Set()
+  const normalized = []
+
+  for (const z of zones) {
+    const name = z && typeof z.zone_name === 'string' ? z.zone_name.trim() : ''
+    if (!name || name.length > 32) {
+      return { error: 'zone_name is required (max 32 chars) for every zone' }
+    }
+    if (names.has(name)) return { error: `zone_name "${name}" is duplicated` }
+    names.add(name)
+
+    const price = toNumber(z.price_per_kwh)
+    if (!Number.isFinite(price) || price < 0) {
+      return { error: `zone "${name}": price_per_kwh must be a non-negative number` }
+    }
+    if (!isValidTime(z.time_from) || !isValidTime(z.time_to)) {
+      return { error: `zone "${name}": time_from and time_to must be HH:MM` }
+    }
+
+    normalized.push({
+      zone_name: name,
+      price_per_kwh: price.toFixed(4),
+      time_from: normalizeTime(z.time_from),
+      time_to: normalizeTime(z.time_to)
+    })
+  }
+
+  for (let minute = 0; minute < MINUTES_PER_DAY; minute++) {
+    const covering = normalized.filter((z) => zoneCoversMinute(z, minute))
+    if (covering.length !== 1) {
+      return { error: 'zones must cover all 24 hours without overlapping' }
+    }
+  }
+
+  return { zones: normalized }
+}
+
+export function validateTiers(tiers) {
+  if (!Array.isArray(tiers)) return { error: 'tiers must be an array' }
+  if (tiers.length === 0) return { tiers: [] }
+
+  const normalized = []
+  for (const t of tiers) {
+    const from = toNumber(t?.from_kwh)
+    const price = toNumber(t?.price_per_kwh)
+    if (!Number.isFinite(from) || from < 0) {
+      return { error: 'tier from_kwh must be a non-negative number' }
+    }
+    if (!Number.isFinite(price) || price < 0) {
+      return { error: 'tier price_per_kwh must be a non-negative number' }
+    }
+    normalized.push({ from_kwh: from, price_per_kwh: price })
+  }
+
+  normalized.sort((a, b) => a.from_kwh - b.from_kwh)
+
+  if (normalized[0].from_kwh !== 0) return { error: 'the first tier must start at from_kwh = 0' }
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].from_kwh === normalized[i - 1].from_kwh) {
+      return { error: `tier from_kwh ${normalized[i].from_kwh} is duplicated` }
+    }
+  }
+
+  return {
+    tiers: normalized.map((t) => ({
+      from_kwh: t.from_kwh.toFixed(3),
+      price_per_kwh: t.price_per_kwh.toFixed(4)
+    }))
+  }
+}
+
+const CHARGE_TYPES = new Set(['fixed', 'percent'])
+const CHARGE_PERIODS = new Set(['day', 'month'])
+
+export function validateCharges(charges) {
+  if (!Array.isArray(charges)) return { error: 'charges must be an array' }
+
+  const normalized = []
+  for (const c of charges) {
+    const name = c && typeof c.name === 'string' ? c.name.trim() : ''
+    if (!name || name.length > 120) return { error: 'charge name is required (max 120 chars)' }
+
+    const type = String(c.charge_type || '')
+    if (!CHARGE_TYPES.has(type)) return { error: `charge "${name}": charge_type must be fixed or percent` }
+
+    const amount = toNumber(c.amount)
+    if (!Number.isFinite(amount) || amount < 0) {
+      return { error: `charge "${name}": amount must be a non-negative number` }
+    }
+
+    let period = null
+    if (type === 'fixed') {
+      period = c.period == null ? 'month' : String(c.period)
+      if (!CHARGE_PERIODS.has(period)) return { error: `charge "${name}": period must be day or month` }
+    } else if (amount > 100) {
+      return { error: `charge "${name}": percent amount must be 0..100` }
+    }
+
+    normalized.push({ name, charge_type: type, amount: amount.toFixed(4), period })
+  }
+
+  return { charges: normalized }
+}
+
+// tiers sorted by from_kwh; kWh already consumed earlier in the month fill the lower tiers first
+export function computeTieredCost(tiers, cumulativeBefore, kwh) {
+  const start = cumulativeBefore
+  const end = cumulativeBefore + kwh
+  let cost = 0
+
+  for (let i = 0; i < tiers.length; i++) {
+    const tierFrom = toNumber(tiers[i].from_kwh)
+    const tierTo = i + 1 < tiers.length ? toNumber(tiers[i + 1].from_kwh) : Infinity
+    const overlap = Math.min(end, tierTo) - Math.max(start, tierFrom)
+    if (overlap > 0) cost += overlap * toNumber(tiers[i].price_per_kwh)
+  }
+
+  return cost
+}
+
+export function findZoneByTime(zones, time) {
+  const minute = timeToMinutes(time)
+  return zones.find((z) => zoneCoversMinute(z, minute)) || null
+}
+
+export function resolveTariffPrice(tariff, { zone, recordTime }) {
+  const zones = tariff.zones || []
+  const tiers = tariff.tiers || []
+
+  // tiered cost depends on the whole month, the record is re-priced by repriceTieredMonth
+  if (tiers.length > 0) {
+    if (zone) return { error: `Tariff "${tariff.tariff_name}" is tiered, a zone cannot be used with a tiered tariff` }
+    return { price: toNumber(tiers[0].price_per_kwh), zone: null, tiered: true }
+  }
+
+  if (zones.length === 0) {
+    if (zone) return { error: `Tariff "${tariff.tariff_name}" has no time-of-use zones` }
+
+    const price = toNumber(tariff.price_per_kwh)
+    if (!Number.isFinite(price) || price < 0) return { error: 'Tariff price_per_kwh is invalid' }
+    return { price, zone: null }
+  }
+
+  let matched = null
+  if (zone) {
+    matched = zones.find((z) => z.zone_name === zone)
+    if (!matched) return { error: `zone "${zone}" is not defined in tariff "${tariff.tariff_name}"` }
+    if (recordTime && findZoneByTime(zones, recordTime) !== matched) {
+      return { error: `record_time ${recordTime} does not belong to zone "${zone}"` }
+    }
+  } else if (recordTime) {
+    matched = findZoneByTime(zones, recordTime)
+  }
+
+  if (!matched) {
+    return { error: 'zone or record_time is required for a tariff with time-of-use zones' }
+  }
+
+  const price = toNumber(matched.price_per_kwh)
+  if (!Number.isFinite(price) || price < 0) return { error: `zone "${matched.zone_name}" price_per_kwh is invalid` }
+  return { price, zone: matched.zone_name }
+}
@@ -0,0 +1,162 @@
+import { Op } from 'sequelize'
+import { ConsumptionRecord, RecurringTemplate, RecurringTemplateError, RecurringTemplateSkip, sequelize } from '../models/index.js'
+import { monthBounds, repriceTieredMonth } from './repricing.js'
+import { prepareNewRecord, insertPreparedRecord } from './consumption.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export function todayISO() {
+  return new Date().toISOString().slice(0, 10)
+}
+
+export function shiftDate(date, days) {
+  const [y, m, d] = String(date).split('-').map(Number)
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+function isoWeekday(date) {
+  const [y, m, d] = String(date).split('-').map(Number)
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay() || 7
+}
+
+export function parseWeekdays(value) {
+  return String(value || '').split(',').filter(Boolean).map(Number)
+}
+
+function recordKey(templateId, date) {
+  return `recurring:${templateId}:${date}`
+}
+
+/**
+ * Creates the records of a template from the day after generated_through up to today (or end_date),
+ * through the same validation and pricing as a manual usage_hours record. Dates in a closed billing
+ * period are passed over. A date that fails for any other reason is kept in recurring_template_errors
+ * and the later dates are still generated; failed dates are retried on every run until they succeed,
+ * are skipped or drop out of the schedule. The idempotency key makes a second run for the same date a no-op.
+ */
+export async function generateTemplateRecords(templateId, today = todayISO()) {
+  return sequelize.transaction(async (t) => {
+    const tpl = await RecurringTemplate.findOne({ where: { id: templateId }, transaction: t, lock: t.LOCK.UPDATE })
+    if (!tpl || tpl.is_paused) return { created: 0, failed: 0 }
+
+    const from = tpl.generated_through ? shiftDate(tpl.generated_through, 1) : String(tpl.start_date)
+    const endDate = tpl.end_date ? String(tpl.end_date) : null
+    const to = endDate && endDate < today ? endDate : today
+
+    const pastErrors = await RecurringTemplateError.findAll({
+      where: { template_id: tpl.id, error_date: { [Op.lt]: from } },
+      transaction: t
+    })
+    const dates = pastErrors.map((e) => String(e.error_date)).sort()
+    for (let date = from; date <= to; date = shiftDate(date, 1)) dates.push(date)
+    if (!dates.length) return { created: 0, failed: 0 }
+
+    const weekdays = new Set(parseWeekdays(tpl.weekdays))
+    const skips = await RecurringTemplateSkip.findAll({
+      where: { template_id: tpl.id, skip_date: { [Op.between]: [dates[0], dates[dates.length - 1]] } },
+      transaction: t
+    })
+    const skipped = new Set(skips.map((s) => String(s.skip_date)))
+
+    let generatedThrough = tpl.generated_through ? String(tpl.generated_through) : null
+    const advance = (date) => {
+      if (!generatedThrough || date > generatedThrough) generatedThrough = date
+    }
+
+    const errors = new Map()
+    let created = 0
+    const months = new Map()
+
+    for (const date of dates) {
+      advance(date)
+      if (!weekdays.has(isoWeekday(date)) || skipped.has(date) || (endDate && date > endDate)) continue
+
+      const key = recordKey(tpl.id, date)
+      const existing = await ConsumptionRecord.count({
+        where: { user_id: tpl.user_id, idempotency_key: key },
+        paranoid: false,
+        transaction: t
+      })
+      if (existing) continue
+
+      const prepared = await prepareNewRecord(tpl.user_id, {
+        appliance_id: tpl.appliance_id,
+        usage_hours: tpl.usage_hours,
+        record_date: date,
+        record_time: tpl.record_time,
+        zone: tpl.zone,
+        notes: tpl.notes || 'Recurring template'
+      }, 'recurring', t)
+
+      if (prepared.error) {
+        if (prepared.error.body.billing_period_id == null) {
+          errors.set(date, String(prepared.error.body.message).slice(0, 500))
+        }
+        continue
+      }
+
+      prepared.values.idempotency_key = key
+      await insertPreparedRecord(prepared, t)
+      months.set(monthBounds(date).start, date)
+      created++
+    }
+
+    for (const date of months.values()) {
+      await repriceTieredMonth(tpl.user_id, date, t)
+    }
+
+    // every date handled by this run is either done or failed again, so its old error goes
+    await RecurringTemplateError.destroy({ where: { template_id: tpl.id, error_date: { [Op.in]: dates } }, transaction: t })
+    if (errors.size) {
+      await RecurringTemplateError.bulkCreate(
+        [...errors].map(([date, message]) => ({ template_id: tpl.id, error_date: date, message })),
+        { transaction: t }
+      )
+    }
+
+    await tpl.update({ generated_through: generatedThrough }, { transaction: t })
+    return {
+      created,
+      failed: errors.size,
+      generated_through: generatedThrough,
+      errors: [...errors].map(([date, message]) => ({ date, message }))
+    }
+  })
+}
+
+function dueWhere(today) {
+  return {
+    is_paused: false,
+    start_date: { [Op.lte]: today },
+    [Op.and]: [
+      { [Op.or]: [{ generated_through: null }, { generated_through: { [Op.lt]: today } }] },
+      {
+        [Op.or]: [
+          { end_date: null },
+          { generated_through: null },
+          { generated_through: { [Op.lt]: sequelize.col('end_date') } }
+        ]
+      }
+    ]
+  }
+}
+
+export async function runRecurringTemplates(today = todayISO()) {
+  const due = await RecurringTemplate.findAll({ where: dueWhere(today), attributes: ['id'], raw: true })
+  const failing = await RecurringTemplateError.findAll({
+    attributes: [[sequelize.fn('DISTINCT', sequelize.col('template_id')), 'id']],
+    raw: true
+  })
+  const ids = [...new Set([...due, ...failing].map((r) => Number(r.id)))].sort((a, b) => a - b)
+
+  let created = 0
+  for (const id of ids) {
+    try {
+      const result = await generateTemplateRecords(id, today)
+      created += result.created
+    } catch (e) {
+      console.error(`Recurring template ${id} failed:`, e.message)
+    }
+  }
+  return created
+}
@@ -0,0 +1,179 @@
+import { Op } from 'sequelize'
+import { ConsumptionRecord, Tariff, TariffTier } from '../models/index.js'
+import { computeTieredCost, resolveTariffPrice } from './pricing.js'
+import { ensureTariffVersionId } from './tariffs.js'
+import { loadClosedPeriods, isDateClosed } from './billingPeriods.js'
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+export function monthBounds(date) {
+  const [y, m] = String(date).split('-').map(Number)
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate()
+  const mm = String(m).padStart(2, '0')
+  return { start: `${y}-${mm}-01`, end: `${y}-${mm}-${String(lastDay).padStart(2, '0')}` }
+}
+
+export async function loadTiersByTariff(tariffIds, transaction) {
+  const byTariff = new Map()
+  if (!tariffIds.length) return byTariff
+
+  const tiers = await TariffTier.findAll({
+    where: { tariff_id: { [Op.in]: tariffIds } },
+    order: [['tariff_id', 'ASC'], ['from_kwh', 'ASC']],
+    transaction
+  })
+
+  for (const t of tiers) {
+    const id = Number(t.tariff_id)
+    if (!byTariff.has(id)) byTariff.set(id, [])
+    byTariff.get(id).push(t)
+  }
+  return byTariff
+}
+
+export async function repriceTieredMonth(userId, date, transaction) {
+  const { start, end } = monthBounds(date)
+
+  const records = await ConsumptionRecord.findAll({
+    where: { user_id: userId, direction: 'import', record_date: { [Op.between]: [start, end] } },
+    order: [['record_date', 'ASC'], ['record_time', 'ASC'], ['id', 'ASC']],
+    transaction
+  })
+
+  const tariffIds = [...new Set(records.map((r) => r.tariff_id).filter((id) => id != null).map(Number))]
+  const tiersByTariff = await loadTiersByTariff(tariffIds, transaction)
+  if (tiersByTariff.size === 0) return 0
+
+  // records of a closed billing period keep their cost but still count towards the month's tiers
+  const closedPeriods = await loadClosedPeriods(userId, start, end, transaction)
+
+  const versionByTariff = new Map()
+  const tieredTariffs = await Tariff.findAll({ where: { id: { [Op.in]: [...tiersByTariff.keys()] } }, transaction })
+  for (const tariff of tieredTariffs) {
+    versionByTariff.set(tariff.id, await ensureTariffVersionId(tariff, transaction))
+  }
+
+  let cumulative = 0
+  let updated = 0
+
+  for (const r of records) {
+    const kwh = toNumber(r.consumption_kwh)
+    const tiers = r.tariff_id == null ? null : tiersByTariff.get(Number(r.tariff_id))
+
+    if (tiers && kwh > 0 && !isDateClosed(closedPeriods, r.record_date)) {
+      const cost = computeTieredCost(tiers, cumulative, kwh)
+      const costStr = cost.toFixed(4)
+      const priceStr = (cost / kwh).toFixed(4)
+
+      const versionId = versionByTariff.get(Number(r.tariff_id)) ?? null
+
+      if (
+        toNumber(r.cost).toFixed(4) !== costStr ||
+        toNumber(r.applied_price_per_kwh).toFixed(4) !== priceStr ||
+        (r.tariff_version_id ?? null) !== versionId
+      ) {
+        await r.update({ cost: costStr, applied_price_per_kwh: priceStr, tariff_version_id: versionId }, { transaction })
+        updated++
+      }
+    }
+
+    cumulative += Number.isFinite(kwh) ? kwh : 0
+  }
+
+  return updated
+}
+
+// records must be ordered by record_date, record_time, id and start at the first day of a month
+export function priceRecordsWithTariff(tariff, records, { inScope, zoneOf = (r) => r.zone }) {
+  const tiers = tariff.tiers || []
+  const items = []
+  const errors = []
+  let month = null
+  let cumulative = 0
+
+  for (const r of records) {
+    const kwh = toNumber(r.consumption_kwh)
+    const recordMonth = String(r.record_date).slice(0, 7)
+    if (recordMonth !== month) {
+      month = recordMonth
+      cumulative = 0
+    }
+
+    if (inScope(r) && kwh > 0) {
+      let price = null
+      if (tiers.length) {
+        price = computeTieredCost(tiers, cumulative, kwh) / kwh
+      } else {
+        const priceResult = resolveTariffPrice(tariff, { zone: zoneOf(r), recordTime: r.record_time })
+        if (priceResult.error) {
+          errors.push({ id: r.id, record_date: String(r.record_date), message: priceResult.error })
+        } else {
+          price = priceResult.price
+        }
+      }
+
+      if (price !== null) {
+        const newPrice = toNumber(price.toFixed(4))
+        items.push({
+          id: r.id,
+          record_date: String(r.record_date),
+          consumption_kwh: kwh,
+          old_price_per_kwh: toNumber(r.applied_price_per_kwh),
+          new_price_per_kwh: newPrice,
+          old_cost: toNumber(r.cost),
+          new_cost: toNumber((tiers.length ? price * kwh : kwh * newPrice).toFixed(4)),
+          record: r
+        })
+      }
+    }
+
+    cumulative += Number.isFinite(kwh) ? kwh : 0
+  }
+
+  return { items, errors }
+}
+
+// tiered prices depend on everything consumed earlier in the month, so whole months are loaded
+export function loadRecordsForPricing(userId, dateFrom, dateTo, transaction, direction = 'import') {
+  return ConsumptionRecord.findAll({
+    where: {
+      user_id: userId,
+      direction,
+      record_date: { [Op.between]: [monthBounds(dateFrom).start, monthBounds(dateTo).end] }
+    },
+    order: [['record_date', 'ASC'], ['record_time', 'ASC'], ['id', 'ASC']],
+    transaction
+  })
+}
+
+export async function planTariffReprice(tariff, { userId, dateFrom, dateTo }, transaction) {
+  const validFrom = String(tariff.valid_from)
+  const validTo = tariff.valid_to ? String(tariff.valid_to) : null
+
+  const closedPeriods = await loadClosedPeriods(userId, dateFrom, dateTo, transaction)
+  let locked = 0
+
+  const inScope = (r) => {
+    const d = String(r.record_date)
+    if (d < dateFrom || d > dateTo) return false
+
+    const ofTariff = r.tariff_id != null
+      ? Number(r.tariff_id) === Number(tariff.id)
+      : d >= validFrom && (!validTo || d <= validTo)
+    if (!ofTariff) return false
+
+    if (isDateClosed(closedPeriods, d)) {
+      locked++
+      return false
+    }
+    return true
+  }
+
+  const direction = tariff.tariff_type === 'feed_in' ? 'export' : 'import'
+  const records = await loadRecordsForPricing(userId, dateFrom, dateTo, transaction, direction)
+  const plan = priceRecordsWithTariff(tariff, records, { inScope })
+  return { ...plan, locked_count: locked }
+}
@@ -0,0 +1,153 @@
+import { chargeLinesForTariff } from './billing.js'
+import { priceRecordsWithTariff } from './repricing.js'
+import { validateZones, validateTiers, validateCharges } from './pricing.js'
+import { isValidCurrency } from './currency.js'
+
+const MAX_REPORTED_ERRORS = 20
+
+function toNumber(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+function round4(n) {
+  return Number(n.toFixed(4))
+}
+
+function monthsInRange(dateFrom, dateTo) {
+  const months = []
+  let [y, m] = dateFrom.split('-').map(Number)
+  const last = dateTo.slice(0, 7)
+
+  for (;;) {
+    const key = `${y}-${String(m).padStart(2, '0')}`
+    if (key > last) break
+
+    const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate()
+    const start = `${key}-01` < dateFrom ? dateFrom : `${key}-01`
+    const endOfMonth = `${key}-${String(lastDay).padStart(2, '0')}`
+    const end = endOfMonth > dateTo ? dateTo : endOfMonth
+    months.push({ month: key, start, end })
+
+    m++
+    if (m > 12) {
+      m = 1
+      y++
+    }
+  }
+  return months
+}
+
+export function parseInlineTariff(def, index, defaultCurrency) {
+  if (!def || typeof def !== 'object') return { error: `tariffs[${index}] must be a tariff id or an object` }
+
+  const price = toNumber(def.price_per_kwh)
+  if (!Number.isFinite(price) || price < 0) {
+    return { error: `tariffs[${index}].price_per_kwh must be a non-negative number` }
+  }
+
+  const zCheck = validateZones(def.zones ?? [])
+  if (zCheck.error) return { error: `tariffs[${index}]: ${zCheck.error}` }
+  const tierCheck = validateTiers(def.tiers ?? [])
+  if (tierCheck.error) return { error: `tariffs[${index}]: ${tierCheck.error}` }
+  if (zCheck.zones.length && tierCheck.tiers.length) {
+    return { error: `tariffs[${index}]: a tariff cannot have both zones and tiers` }
+  }
+  const chargeCheck = validateCharges(def.charges ?? [])
+  if (chargeCheck.error) return { error: `tariffs[${index}]: ${chargeCheck.error}` }
+
+  const currency = def.currency == null ? defaultCurrency : String(def.currency).toUpperCase()
+  if (!isValidCurrency(currency)) return { error: `tariffs[${index}].currency must be a 3-letter currency code` }
+
+  return {
+    tariff: {
+      id: null,
+      tariff_name: def.tariff_name ? String(def.tariff_name) : `Option ${index + 1}`,
+      price_per_kwh: price,
+      currency,
+      zones: zCheck.zones,
+      tiers: tierCheck.tiers,
+      charges: chargeCheck.charges
+    }
+  }
+}
+
+// nothing is written: records are re-priced in memory as if the tariff covered the whole range
+export function simulateTariff(tariff, records, dateFrom, dateTo) {
+  const { items, errors } = priceRecordsWithTariff(tariff, records, {
+    inScope: (r) => String(r.record_date) >= dateFrom && String(r.record_date) <= dateTo,
+    zoneOf: (r) => (r.record_time ? null : r.zone)
+  })
+
+  const byMonth = new Map()
+  for (const i of items) {
+    const key = i.record_date.slice(0, 7)
+    const acc = byMonth.get(key) || { kwh: 0, energy: 0, recorded: 0 }
+    acc.kwh += i.consumption_kwh
+    acc.energy += i.new_cost
+    acc.recorded += i.old_cost
+    byMonth.set(key, acc)
+  }
+
+  const range = { id: tariff.id, valid_from: dateFrom, valid_to: null, currency: tariff.currency }
+  const months = monthsInRange(dateFrom, dateTo).map(({ month, start, end }) => {
+    const acc = byMonth.get(month) || { kwh: 0, energy: 0, recorded: 0 }
+    const lines = chargeLinesForTariff(range, tariff.charges || [], acc.energy, start, end)
+    const fixedFees = lines.filter((l) => l.type === 'fixed_fee').reduce((a, l) => a + l.amount, 0)
+    const taxes = lines.filter((l) => l.type === 'tax').reduce((a, l) => a + l.amount, 0)
+
+    return {
+      month,
+      kwh: round4(acc.kwh),
+      recorded_energy_cost: round4(acc.recorded),
+      energy_cost: round4(acc.energy),
+      fixed_fees: round4(fixedFees),
+      taxes: round4(taxes),
+      total_cost: round4(acc.energy + fixedFees + taxes)
+    }
+  })
+
+  const sum = (key) => round4(months.reduce((a, m) => a + m[key], 0))
+
+  return {
+    tariff_id: tariff.id,
+    tariff_name: tariff.tariff_name,
+    currency: tariff.currency,
+    totals: {
+      kwh: sum('kwh'),
+      energy_cost: sum('energy_cost'),
+      fixed_fees: sum('fixed_fees'),
+      taxes: sum('taxes'),
+      total_cost: sum('total_cost')
+    },
+    months,
+    unpriced_records: errors.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS)
+  }
+}
+
+// options in another currency are converted to the baseline currency; without a rate the difference is null.
+// An option that left records unpriced (or a baseline that did) covers less consumption, so it is not comparable.
+export function compareWithBaseline(results, rateTable) {
+  const baseline = results[0]
+
+  return results.map((r) => {
+    const comparable = r.unpriced_records === 0 && baseline.unpriced_records === 0
+
+    const diff = (amount, currency, baseAmount) => {
+      if (!comparable) return null
+      const converted = rateTable.convert(amount, currency, baseline.currency)
+      return converted == null ? null : round4(converted - baseAmount)
+    }
+
+    return {
+      ...r,
+      comparable,
+      difference_vs_baseline: diff(r.totals.total_cost, r.currency, baseline.totals.total_cost),
+      months: r.months.map((m, idx) => ({
+        ...m,
+        difference_vs_baseline: diff(m.total_cost, r.currency, baseline.months[idx].total_cost)
+      }))
+    }
+  })
+}
@@ -0,0 +1,158 @@
+import { Op } from 'sequelize'
+import { Tariff, TariffZone, TariffTier, TariffCharge, TariffActivation, TariffVersion } from '../models/index.js'
+
+export const TARIFF_PRICING_INCLUDE = [
+  { model: TariffZone, as: 'zones' },
+  { model: TariffTier, as: 'tiers' }
+]
+
+// import records are priced by a consumption tariff, export records by a feed-in tariff
+export const TARIFF_TYPE_BY_DIRECTION = { import: 'consumption', export: 'feed_in' }
+
+export async function findTariffForDate(userId, date, transaction, tariffType = 'consumption') {
+  const rows = await Tariff.findAll({
+    where: {
+      user_id: userId,
+      tariff_type: tariffType,
+      valid_from: { [Op.lte]: date },
+      [Op.or]: [{ valid_to: null }, { valid_to: { [Op.gte]: date } }]
+    },
+    include: TARIFF_PRICING_INCLUDE,
+    order: [['id', 'DESC'], [{ model: TariffTier, as: 'tiers' }, 'from_kwh', 'ASC']],
+    transaction
+  })
+
+  if (rows.length === 0) {
+    return { ok: false, code: 'NO_TARIFF', tariffType }
+  }
+  if (rows.length > 1) {
+    return { ok: false, code: 'MANY_TARIFFS', tariffType, ids: rows.map((t) => t.id) }
+  }
+
+  return { ok: true, tariff: rows[0] }
+}
+
+export function tariffLookupError(check, date) {
+  const kind = check.tariffType === 'feed_in' ? 'feed-in tariff' : 'tariff'
+  if (check.code === 'NO_TARIFF') {
+    return {
+      status: 400,
+      body: { message: `No ${kind} covers ${date}. Please create a ${kind} whose valid_from/valid_to range includes this date.` }
+    }
+  }
+  return {
+    status: 409,
+    body: {
+      message: `More than one ${kind} covers ${date}. Please adjust valid_from/valid_to so the ranges do not overlap.`,
+      tariff_ids: check.ids
+    }
+  }
+}
+
+// tariffs of one type must not share a day, otherwise findTariffForDate cannot pick one
+export async function findOverlappingTariffs(userId, tariffType, validFrom, validTo, excludeId, transaction) {
+  const where = {
+    user_id: userId,
+    tariff_type: tariffType,
+    [Op.or]: [{ valid_to: null }, { valid_to: { [Op.gte]: validFrom } }]
+  }
+  if (validTo) where.valid_from = { [Op.lte]: validTo }
+  if (excludeId) where.id = { [Op.ne]: excludeId }
+
+  return Tariff.findAll({ where, attributes: ['id', 'tariff_name', 'valid_from', 'valid_to'], order: [['valid_from', 'ASC']], transaction })
+}
+
+export function tariffOverlapError(overlapping) {
+  return {
+    status: 409,
+    body: {
+      message: 'The valid_from/valid_to range overlaps another tariff of the same type. Please adjust the ranges so they do not overlap.',
+      tariff_ids: overlapping.map((t) => t.id)
+    }
+  }
+}
+
+// deactivates every other tariff of the owner with the same type; history is written only on a real switch
+export async function activateTariff(tariff, trigger, transaction) {
+  const sameType = { user_id: tariff.user_id, tariff_type: tariff.tariff_type, id: { [Op.ne]: tariff.id } }
+  const previous = await Tariff.findOne({
+    where: { ...sameType, is_active: true },
+    order: [['id', 'DESC']],
+    transaction
+  })
+  const wasActive = Boolean(tariff.is_active)
+
+  await Tariff.update(
+    { is_active: false },
+    { where: sameType, transaction }
+  )
+  await tariff.update({ is_active: true, auto_activate: false }, { transaction })
+
+  if (!wasActive) {
+    await TariffActivation.create({
+      user_id: tariff.user_id,
+      tariff_id: tariff.id,
+      previous_tariff_id: previous ? previous.id : null,
+      trigger
+    }, { transaction })
+  }
+
+  return tariff
+}
+
+function tariffSnapshot(tariff, zones, tiers, charges) {
+  return {
+    tariff_name: tariff.tariff_name,
+    tariff_type: tariff.tariff_type,
+    price_per_kwh: String(tariff.price_per_kwh),
+    currency: tariff.currency,
+    valid_from: String(tariff.valid_from),
+    valid_to: tariff.valid_to ? String(tariff.valid_to) : null,
+    zones: zones.map((z) => ({
+      zone_name: z.zone_name,
+      price_per_kwh: String(z.price_per_kwh),
+      time_from: String(z.time_from),
+      time_to: String(z.time_to)
+    })),
+    tiers: tiers.map((t) => ({ from_kwh: String(t.from_kwh), price_per_kwh: String(t.price_per_kwh) })),
+    charges: charges.map((c) => ({ name: c.name, charge_type: c.charge_type, amount: String(c.amount), period: c.period }))
+  }
+}
+
+// versions are numbered under a row lock on the tariff; an edit that changes nothing keeps the current version
+export async function writeTariffVersion(tariffId, changeType, changedBy, transaction) {
+  const tariff = await Tariff.findByPk(tariffId, { transaction, lock: transaction.LOCK.UPDATE })
+
+  const zones = await TariffZone.findAll({ where: { tariff_id: tariffId }, order: [['time_from', 'ASC']], transaction })
+  const tiers = await TariffTier.findAll({ where: { tariff_id: tariffId }, order: [['from_kwh', 'ASC']], transaction })
+  const charges = await TariffCharge.findAll({ where: { tariff_id: tariffId }, order: [['id', 'ASC']], transaction })
+  const snapshot = JSON.stringify(tariffSnapshot(tariff, zones, tiers, charges))
+
+  const last = await TariffVersion.findOne({
+    where: { tariff_id: tariffId },
+    order: [['version', 'DESC']],
+    transaction
+  })
+  if (last && last.snapshot === snapshot) return last
+
+  const version = await TariffVersion.create({
+    tariff_id: tariffId,
+    user_id: tariff.user_id,
+    version: last ? last.version + 1 : 1,
+    change_type: changeType,
+    snapshot,
+    changed_by: changedBy
+  }, { transaction })
+
+  await tariff.update({ current_version_id: version.id }, { transaction })
+  return version
+}
+
+// tariffs created before versioning get their first snapshot when they price a record
+export async function ensureTariffVersionId(tariff, transaction) {
+  if (tariff.current_version_id) return tariff.current_version_id
+
+  const version = await writeTariffVersion(tariff.id, 'snapshot', null, transaction)
+  tariff.current_version_id = version.id
+  return version.id
+}
@@ -0,0 +1,130 @@
+import { Op } from 'sequelize'
+import {
+  Appliance,
+  ConsumptionInterval,
+  ConsumptionRecord,
+  RecurringTemplate,
+  Tariff,
+  TariffActivation,
+  TariffCharge,
+  TariffTier,
+  TariffVersion,
+  TariffZone,
+  sequelize
+} from '../models/index.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_RETENTION_DAYS = 30
+
+export function trashRetentionDays() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS)
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS
+}
+
+export function withPurgeAt(row) {
+  const plain = row.get({ plain: true })
+  const deletedAt = new Date(plain.deleted_at)
+  return { ...plain, purge_at: new Date(deletedAt.getTime() + trashRetentionDays() * DAY_MS).toISOString() }
+}
+
+export function trashWhere(userId) {
+  return { user_id: userId, deleted_at: { [Op.ne]: null } }
+}
+
+// paginated { total, limit, offset, items } of a user's trashed rows, most recently deleted first
+export async function listTrash(Model, userId, query) {
+  const limitRaw = query.limit != null ? Number(query.limit) : 50
+  const offsetRaw = query.offset != null ? Number(query.offset) : 0
+  const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(1, limitRaw), 200) : 50
+  const offset = Number.isFinite(offsetRaw) ? Math.max(0, offsetRaw) : 0
+
+  const result = await Model.findAndCountAll({
+    where: trashWhere(userId),
+    paranoid: false,
+    order: [['deleted_at', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset
+  })
+
+  return { total: result.count, limit, offset, items: result.rows.map(withPurgeAt) }
+}
+
+export function findTrashed(Model, id, userId, transaction) {
+  return Model.findOne({
+    where: { id, ...trashWhere(userId) },
+    paranoid: false,
+    transaction
+  })
+}
+
+// ids from `ids` still used in `column` of Model; trashed rows count too, they may be restored
+async function referencedIds(Model, column, ids, transaction) {
+  const rows = await Model.findAll({
+    where: { [column]: { [Op.in]: ids } },
+    attributes: [column],
+    group: [column],
+    paranoid: false,
+    raw: true,
+    transaction
+  })
+  return new Set(rows.map((r) => r[column]))
+}
+
+/**
+ * Permanently removes everything that has been in the trash longer than the retention window.
+ * Appliances and tariffs still referenced by records (live or trashed), intervals or templates stay
+ * in the trash until those are gone, so nothing live is left pointing at a missing row.
+ */
+export async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - trashRetentionDays() * DAY_MS)
+  const expired = { deleted_at: { [Op.lt]: cutoff } }
+
+  return sequelize.transaction(async (t) => {
+    const records = await ConsumptionRecord.destroy({ where: expired, force: true, transaction: t })
+
+    const appliances = await Appliance.findAll({ where: expired, paranoid: false, attributes: ['id'], transaction: t })
+    let applianceIds = appliances.map((a) => a.id)
+    let keptAppliances = 0
+    if (applianceIds.length) {
+      const used = new Set([
+        ...await referencedIds(ConsumptionRecord, 'appliance_id', applianceIds, t),
+        ...await referencedIds(ConsumptionInterval, 'appliance_id', applianceIds, t),
+        ...await referencedIds(RecurringTemplate, 'appliance_id', applianceIds, t)
+      ])
+      keptAppliances = used.size
+      applianceIds = applianceIds.filter((id) => !used.has(id))
+    }
+    if (applianceIds.length) {
+      await Appliance.destroy({ where: { id: { [Op.in]: applianceIds } }, force: true, transaction: t })
+    }
+
+    const tariffs = await Tariff.findAll({ where: expired, paranoid: false, attributes: ['id'], transaction: t })
+    let tariffIds = tariffs.map((r) => r.id)
+    let keptTariffs = 0
+    if (tariffIds.length) {
+      const used = await referencedIds(ConsumptionRecord, 'tariff_id', tariffIds, t)
+      keptTariffs = used.size
+      tariffIds = tariffIds.filter((id) => !used.has(id))
+    }
+    if (tariffIds.length) {
+      const byTariff = { tariff_id: { [Op.in]: tariffIds } }
+      await TariffZone.destroy({ where: byTariff, transaction: t })
+      await TariffTier.destroy({ where: byTariff, transaction: t })
+      await TariffCharge.destroy({ where: byTariff, transaction: t })
+      // no record points at these tariffs, so their versions and activation history go with them
+      await Tariff.update({ current_version_id: null }, { where: { id: { [Op.in]: tariffIds } }, paranoid: false, transaction: t })
+      await TariffVersion.destroy({ where: byTariff, transaction: t })
+      await TariffActivation.update({ previous_tariff_id: null }, { where: { previous_tariff_id: { [Op.in]: tariffIds } }, transaction: t })
+      await TariffActivation.destroy({ where: byTariff, transaction: t })
+      await Tariff.destroy({ where: { id: { [Op.in]: tariffIds } }, force: true, transaction: t })
+    }
+
+    return {
+      records,
+      appliances: applianceIds.length,
+      tariffs: tariffIds.length,
+      kept_appliances: keptAppliances,
+      kept_tariffs: keptTariffs
+    }
+  })
+}